@@ -1,3 +1,6 @@
 import Pig from './lib/Pig'
 
+export { computeLayout } from './lib/computeLayout'
+export { getStyleSheet } from './lib/styles'
+
 export default Pig
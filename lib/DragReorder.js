@@ -0,0 +1,464 @@
+/**
+ * This class lets the user reorder the images of a Pig instance by dragging
+ * their tiles, with the mouse or by touch. While a tile is dragged, it follows
+ * the pointer, and the layout of the grid is computed for the order the drop
+ * would give, so that the other tiles transition to their new place. The place
+ * where the tile will land is shown by a placeholder:
+ *
+ *   <div class="pig-drop-target" style="transform: ..."></div>
+ *
+ * Dragging near the top or bottom of the viewport scrolls the grid. When the
+ * tile is dropped, `settings.onReorder` is called with the new order, and
+ * pressing Escape puts the tiles back where they were. Images can only be
+ * moved within their group.
+ *
+ * @param {object} pig - The Pig instance.
+ */
+export const DragReorder = function(pig) {
+  // Global State
+  this.image = null;        // The ProgressiveImage that is being dragged.
+  this.press = null;        // Where the pointer was pressed, before the drag starts.
+  this.originalImages = null; // The order of the images before the drag.
+  this.suppressClick = false;
+  this.autoScrollRAF = null;
+
+  // The Pig instance
+  this.pig = pig;
+
+  // The distance in pixels the mouse has to move, and the time in milliseconds
+  // a finger has to rest on a tile, before a drag starts. Until then, clicks
+  // and scrolling work as usual.
+  this.dragThreshold = 5;
+  this.touchDelay = 300;
+
+  // The height in pixels of the areas at the top and bottom of the viewport in
+  // which a drag scrolls the grid, and the most it scrolls in a frame.
+  this.autoScrollMargin = 60;
+  this.autoScrollSpeed = 20;
+
+  this.classNames = {
+    dragging: pig.settings.classPrefix + '-dragging',
+    dropTarget: pig.settings.classPrefix + '-drop-target',
+  };
+
+  /**
+   * Called on mousedown in the container. A drag starts once the mouse has
+   * moved far enough.
+   *
+   * @param {Event} event - The mousedown event.
+   */
+  this.onMouseDown = function(event) {
+    var image = this._getImageOfTarget(event.target);
+    if (event.button !== 0 || this.image || !image) {
+      return;
+    }
+
+    this.press = { image: image, clientX: event.clientX, clientY: event.clientY };
+    document.addEventListener('mousemove', this.onMouseMove);
+    document.addEventListener('mouseup', this.onMouseUp);
+  }.bind(this);
+
+  /**
+   * Called on mousemove while the mouse button is down.
+   *
+   * @param {Event} event - The mousemove event.
+   */
+  this.onMouseMove = function(event) {
+    if (!this.image) {
+      if (Math.abs(event.clientX - this.press.clientX) < this.dragThreshold &&
+        Math.abs(event.clientY - this.press.clientY) < this.dragThreshold) {
+        return;
+      }
+      this._start();
+    }
+
+    event.preventDefault();
+    this._move(event.clientX, event.clientY);
+  }.bind(this);
+
+  /**
+   * Called on mouseup, dropping the tile if it was dragged. The click that
+   * follows a drop is not passed on to the image.
+   */
+  this.onMouseUp = function() {
+    this._release();
+
+    if (this.image) {
+      this.suppressClick = true;
+      setTimeout(function() {
+        this.suppressClick = false;
+      }.bind(this), 0);
+      this._drop();
+    }
+  }.bind(this);
+
+  /**
+   * Called on touchstart in the container. A drag starts if the finger rests
+   * on the tile for `this.touchDelay` milliseconds without moving.
+   *
+   * @param {Event} event - The touchstart event.
+   */
+  this.onTouchStart = function(event) {
+    var image = this._getImageOfTarget(event.target);
+    if (event.touches.length !== 1 || this.image || !image) {
+      return;
+    }
+
+    var touch = event.touches[0];
+    this.press = { image: image, clientX: touch.clientX, clientY: touch.clientY };
+    this.touchTimeout = setTimeout(function() {
+      this._start();
+      this._move(this.press.clientX, this.press.clientY);
+    }.bind(this), this.touchDelay);
+
+    document.addEventListener('touchmove', this.onTouchMove, { passive: false });
+    document.addEventListener('touchend', this.onTouchEnd);
+    document.addEventListener('touchcancel', this.onTouchEnd);
+  }.bind(this);
+
+  /**
+   * Called on touchmove while a finger is down. Before the drag starts,
+   * moving the finger scrolls instead of dragging.
+   *
+   * @param {Event} event - The touchmove event.
+   */
+  this.onTouchMove = function(event) {
+    var touch = event.touches[0];
+
+    if (!this.image) {
+      if (Math.abs(touch.clientX - this.press.clientX) >= this.dragThreshold ||
+        Math.abs(touch.clientY - this.press.clientY) >= this.dragThreshold) {
+        this.onTouchEnd(event);
+      }
+      return;
+    }
+
+    event.preventDefault();
+    this._move(touch.clientX, touch.clientY);
+  }.bind(this);
+
+  /**
+   * Called on touchend and touchcancel, dropping the tile if it was dragged.
+   *
+   * @param {Event} event - The touch event.
+   */
+  this.onTouchEnd = function(event) {
+    this._release();
+
+    if (this.image) {
+      // Don't let the browser emulate a click on the tile.
+      if (event.cancelable) {
+        event.preventDefault();
+      }
+      this._drop();
+    }
+  }.bind(this);
+
+  /**
+   * Cancels the drag when Escape is pressed.
+   *
+   * @param {Event} event - The keydown event.
+   */
+  this.onKeyDown = function(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.cancel();
+    }
+  }.bind(this);
+
+  /**
+   * Stops the click that follows a drop before it reaches the image.
+   *
+   * @param {Event} event - The click event.
+   */
+  this.onClick = function(event) {
+    if (this.suppressClick) {
+      this.suppressClick = false;
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  }.bind(this);
+
+  /**
+   * Prevents the browser's own dragging of the images in the tiles.
+   *
+   * @param {Event} event - The dragstart event.
+   */
+  this.onDragStart = function(event) {
+    event.preventDefault();
+  };
+
+  /**
+   * Puts the tiles back in the order they had before the drag, if a tile is
+   * being dragged. The press is forgotten too, so that dragging again takes a
+   * new press.
+   */
+  this.cancel = function() {
+    this._release();
+    if (!this.image) {
+      return;
+    }
+
+    this.pig._setImageOrder(this.originalImages);
+    this._end();
+  };
+
+  /**
+   * Cancels the drag and stops listening to events.
+   */
+  this.destroy = function() {
+    this.cancel();
+    this.pig.container.removeEventListener('mousedown', this.onMouseDown);
+    this.pig.container.removeEventListener('touchstart', this.onTouchStart);
+    this.pig.container.removeEventListener('click', this.onClick, true);
+    this.pig.container.removeEventListener('dragstart', this.onDragStart);
+  };
+
+  /**
+   * Forgets the press, and stops following the mouse or the finger that made
+   * it.
+   */
+  this._release = function() {
+    clearTimeout(this.touchTimeout);
+    document.removeEventListener('mousemove', this.onMouseMove);
+    document.removeEventListener('mouseup', this.onMouseUp);
+    document.removeEventListener('touchmove', this.onTouchMove, { passive: false });
+    document.removeEventListener('touchend', this.onTouchEnd);
+    document.removeEventListener('touchcancel', this.onTouchEnd);
+    this.press = null;
+  };
+
+  /**
+   * Starts dragging the tile that was pressed. The tile is picked up where it
+   * was pressed.
+   */
+  this._start = function() {
+    var image = this.press.image;
+    var point = this._getContainerPoint(this.press.clientX, this.press.clientY);
+
+    this.image = image;
+    this.originalImages = this.pig.images.slice();
+    this.grabOffset = {
+      x: point.x - image.style.translateX,
+      y: point.y - image.style.translateY,
+    };
+
+    image.getElement().classList.add(this.classNames.dragging);
+    this.pig.container.appendChild(this.getPlaceholderElement());
+    this._updatePlaceholder();
+    document.addEventListener('keydown', this.onKeyDown);
+  };
+
+  /**
+   * Moves the dragged tile to the pointer. If the pointer is over another
+   * tile of the same group, the dragged image is moved before or after it,
+   * depending on which half of the tile the pointer is over, and the grid is
+   * laid out for the new order.
+   *
+   * @param {Number} clientX - The horizontal position of the pointer in the
+   *                           window.
+   * @param {Number} clientY - The vertical position of the pointer in the
+   *                           window.
+   */
+  this._move = function(clientX, clientY) {
+    var point = this._getContainerPoint(clientX, clientY);
+    this.clientX = clientX;
+    this.clientY = clientY;
+
+    this.image.dragPosition = {
+      translateX: point.x - this.grabOffset.x,
+      translateY: point.y - this.grabOffset.y,
+    };
+    this.image._updateStyles();
+
+    var target = this.pig._getImageAt(point.x, point.y);
+    if (target && target !== this.image && target.groupKey === this.image.groupKey) {
+      var fromIndex = this.image.index;
+      var toIndex = target.index;
+      if (point.x >= target.style.translateX + target.style.width / 2) {
+        toIndex++;
+      }
+      if (fromIndex < toIndex) {
+        toIndex--;
+      }
+
+      if (toIndex !== fromIndex) {
+        var images = this.pig.images.slice();
+        images.splice(fromIndex, 1);
+        images.splice(toIndex, 0, this.image);
+        this.pig._setImageOrder(images, Math.min(fromIndex, toIndex));
+        this._updatePlaceholder();
+      }
+    }
+
+    if (!this.autoScrollRAF && this._getAutoScrollDelta()) {
+      this.autoScrollRAF = window.requestAnimationFrame(this._autoScroll.bind(this));
+    }
+  };
+
+  /**
+   * Scrolls the grid while the pointer is near the top or bottom of the
+   * viewport, faster the closer it is to the edge, and keeps the dragged tile
+   * under the pointer.
+   */
+  this._autoScroll = function() {
+    this.autoScrollRAF = null;
+    var delta = this._getAutoScrollDelta();
+    if (!this.image || !delta) {
+      return;
+    }
+
+    var scrollTop = this.pig._getScrollTop();
+    this.pig._scrollTo(scrollTop + delta);
+
+    // Stop at the top or bottom of the grid. Moving the pointer starts
+    // scrolling again.
+    if (this.pig._getScrollTop() !== scrollTop) {
+      this._move(this.clientX, this.clientY);
+    }
+  };
+
+  /**
+   * Returns how far to scroll in this frame, given how close the pointer is
+   * to the top or bottom of the viewport.
+   *
+   * @returns {Number} The distance in pixels, negative to scroll up.
+   */
+  this._getAutoScrollDelta = function() {
+    var scrollElement = this.pig._getScrollElement();
+    var bounds = scrollElement === window ?
+      { top: 0, bottom: window.innerHeight } :
+      scrollElement.getBoundingClientRect();
+    var margin = this.autoScrollMargin;
+    var depth = 0;
+
+    if (this.clientY < bounds.top + margin) {
+      depth = this.clientY - bounds.top - margin;
+    } else if (this.clientY > bounds.bottom - margin) {
+      depth = this.clientY - bounds.bottom + margin;
+    }
+
+    depth = Math.max(-margin, Math.min(margin, depth));
+    return Math.round(depth / margin * this.autoScrollSpeed);
+  };
+
+  /**
+   * Drops the dragged tile, which transitions into its place, and reports
+   * the new order if it has changed.
+   */
+  this._drop = function() {
+    var hasChanged = this.pig.images.some(function(image, index) {
+      return image !== this.originalImages[index];
+    }.bind(this));
+
+    // The new order includes the images that are filtered out of the grid,
+    // in their places among the others.
+    this._end();
+    if (hasChanged) {
+      this.pig.settings.onReorder(this.pig.allImages.map(function(image) {
+        return image.imageId;
+      }));
+    }
+  };
+
+  /**
+   * Ends the drag, letting the dragged tile transition into its place.
+   */
+  this._end = function() {
+    var image = this.image;
+
+    window.cancelAnimationFrame(this.autoScrollRAF);
+    this.autoScrollRAF = null;
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.image = null;
+    this.originalImages = null;
+
+    this.pig._startTransition();
+    image.dragPosition = null;
+    image.style.transition = this.pig._getTransitionString();
+    image._updateStyles();
+    image.getElement().classList.remove(this.classNames.dragging);
+
+    if (this.placeholderElement.parentNode) {
+      this.placeholderElement.parentNode.removeChild(this.placeholderElement);
+    }
+  };
+
+  /**
+   * Get the placeholder element that shows where the dragged tile will land,
+   * creating it if it doesn't exist.
+   *
+   * @returns {HTMLElement} The placeholder element.
+   */
+  this.getPlaceholderElement = function() {
+    if (!this.placeholderElement) {
+      this.placeholderElement = document.createElement('div');
+      this.placeholderElement.className = this.classNames.dropTarget;
+      this.pig._applyInlineStyle(this.placeholderElement, 'dropTarget');
+      this.placeholderElement.setAttribute('aria-hidden', 'true');
+    }
+
+    return this.placeholderElement;
+  };
+
+  /**
+   * Moves the placeholder to the place of the dragged image in the layout.
+   */
+  this._updatePlaceholder = function() {
+    var style = this.image.style;
+    var element = this.getPlaceholderElement();
+
+    element.style.transition = style.transition;
+    element.style.width = style.width + 'px';
+    element.style.height = style.height + 'px';
+    element.style.transform = (
+      'translate3d(' + style.translateX + 'px,' + style.translateY + 'px, 0)');
+  };
+
+  /**
+   * Returns the image whose tile contains the given element.
+   *
+   * @param {HTMLElement} target - The target of an event.
+   *
+   * @returns {ProgressiveImage} The image, or null if there is none.
+   */
+  this._getImageOfTarget = function(target) {
+    var visibleImages = this.pig.visibleImages;
+
+    for (var node = target; node && node !== this.pig.container; node = node.parentNode) {
+      for (var i = 0; i < visibleImages.length; i++) {
+        if (visibleImages[i].element === node) {
+          return visibleImages[i];
+        }
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Converts a position in the window to a position in the container, in
+   * which the layout is computed.
+   *
+   * @param {Number} clientX - The horizontal position in the window.
+   * @param {Number} clientY - The vertical position in the window.
+   *
+   * @returns {object} The `x` and `y` position in the container.
+   */
+  this._getContainerPoint = function(clientX, clientY) {
+    var containerRect = this.pig.container.getBoundingClientRect();
+
+    return {
+      x: clientX - containerRect.left,
+      y: clientY - containerRect.top,
+    };
+  };
+
+  // Drags start from the tiles in the container.
+  this.pig.container.addEventListener('mousedown', this.onMouseDown);
+  this.pig.container.addEventListener('touchstart', this.onTouchStart);
+  this.pig.container.addEventListener('click', this.onClick, true);
+  this.pig.container.addEventListener('dragstart', this.onDragStart);
+
+  return this;
+}
@@ -0,0 +1,156 @@
+import { escapeHtml } from './html';
+
+/**
+ * This class manages the header of a single group of images in a sectioned
+ * grid. Like a ProgressiveImage, it keeps track of its height, width, and
+ * position in the grid, and is associated with a single element:
+ *
+ *   <div class="pig-group-header" role="row" style="transform: ...">
+ *     <div role="columnheader">March 2024</div>
+ *   </div>
+ *
+ * This element may or may not actually exist in the DOM, depending on where
+ * it is with respect to the viewport. The content of the element is created
+ * by `settings.renderGroupHeader`.
+ *
+ * @param {string} groupKey - The key of the group of images this header
+ *                            belongs to.
+ * @param {object} group - The group object, if the images were passed as
+ *                         grouped data.
+ * @param {object} pig - The Pig instance.
+ */
+export const GroupHeader = function(groupKey, group, pig) {
+  // Global State
+  this.existsOnPage = false; // True if the element exists on the page.
+  this.stickyTranslateY = null; // The translateY value while it is stuck.
+
+  // Instance information
+  this.groupKey = groupKey;
+  this.group = group;
+
+  // The Pig instance
+  this.pig = pig;
+
+  this.classNames = {
+    header: pig.settings.classPrefix + '-group-header',
+    stuck: pig.settings.classPrefix + '-group-header-stuck',
+  };
+
+  /**
+   * Load the header element into the DOM, or update its position if it is
+   * already there.
+   */
+  this.load = function() {
+    this._updateStyles();
+
+    if (!this.existsOnPage) {
+      this.existsOnPage = true;
+      this.pig.container.appendChild(this.getElement());
+    }
+  };
+
+  /**
+   * Removes the header element from the DOM.
+   */
+  this.hide = function() {
+    if (this.existsOnPage) {
+      this.pig.container.removeChild(this.getElement());
+    }
+
+    this.existsOnPage = false;
+  };
+
+  /**
+   * Updates this GroupHeader with a new group object when the grid's image
+   * data changes, rendering its content again.
+   *
+   * @param {object} group - The new group object.
+   */
+  this.update = function(group) {
+    this.group = group;
+    if (this.element) {
+      this._renderContent();
+    }
+  };
+
+  /**
+   * Get the DOM element associated with this GroupHeader, creating it and
+   * rendering its content if it doesn't exist.
+   *
+   * @returns {HTMLElement} The DOM element associated with this instance.
+   */
+  this.getElement = function() {
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.className = this.classNames.header;
+      this.pig._applyInlineStyle(this.element, 'header');
+      this.element.setAttribute('role', 'row');
+      this.contentElement = document.createElement('div');
+      this.contentElement.setAttribute('role', 'columnheader');
+      this.element.appendChild(this.contentElement);
+      this._renderContent();
+    }
+
+    return this.element;
+  };
+
+  /**
+   * Fills the element with the content given by `settings.renderGroupHeader`.
+   */
+  this._renderContent = function() {
+    var content = this.pig.settings.renderGroupHeader(this.groupKey, this.group);
+
+    this.contentElement.textContent = '';
+    if (typeof content === 'string') {
+      this.contentElement.textContent = content;
+    } else if (content) {
+      this.contentElement.appendChild(content);
+    }
+  };
+
+  /**
+   * Get the HTML markup of this header's element, for rendering on the
+   * server. Only headers whose content is a string can be rendered on the
+   * server.
+   *
+   * @returns {string} The HTML markup of the element, or an empty string.
+   */
+  this.getMarkup = function() {
+    var content = this.pig.settings.renderGroupHeader(this.groupKey, this.group);
+    if (typeof content !== 'string') {
+      return '';
+    }
+
+    return (
+      '<div class="' + this.classNames.header + '" role="row"' +
+      ' aria-rowindex="' + this.ariaRowIndex + '"' +
+      ' style="' +
+        'left: 0; position: absolute; top: 0; z-index: 1;' +
+        ' width: ' + this.style.width + 'px;' +
+        ' height: ' + this.style.height + 'px;' +
+        ' transform: translate3d(' + this.style.translateX + 'px,' + this.style.translateY + 'px, 0);' +
+      '">' +
+      '<div role="columnheader">' + escapeHtml(content) + '</div>' +
+      '</div>'
+    );
+  };
+
+  /**
+   * Updates the style attribute to reflect this style property on this
+   * object, using the sticky position while the header is stuck.
+   */
+  this._updateStyles = function() {
+    var isStuck = this.stickyTranslateY !== null;
+    var translateY = isStuck ? this.stickyTranslateY : this.style.translateY;
+
+    this.getElement().style.transition = isStuck ? 'none' : this.style.transition;
+    this.getElement().style.width = this.style.width + 'px';
+    this.getElement().style.height = this.style.height + 'px';
+    this.getElement().style.transform = (
+      'translate3d(' + this.style.translateX + 'px,' + translateY + 'px, 0)');
+    this.getElement().classList.toggle(this.classNames.stuck, isStuck);
+    this.getElement().setAttribute('aria-rowindex', this.ariaRowIndex);
+  };
+
+  return this;
+}
@@ -0,0 +1,173 @@
+/**
+ * This class manages the downloads of the thumbnails and full images of a Pig
+ * instance. Instead of every figure starting its downloads as soon as it is
+ * added to the page, the figures queue them here, and at most
+ * `settings.maxConcurrentLoads` of them are loading at any time.
+ *
+ * Queued downloads start in order of priority: first the images in the
+ * viewport, then those in the primary buffer, then those in the secondary
+ * buffer. Within each of these, thumbnails come before full images, and images
+ * nearer to the center of the viewport come first.
+ *
+ * @param {object} pig - The Pig instance.
+ */
+export const ImageLoader = function(pig) {
+  // Global State
+  this.queue = [];     // The downloads waiting to start.
+  this.inFlight = [];  // The downloads that have started.
+  this.processTimeout = null;
+
+  // The Pig instance
+  this.pig = pig;
+
+  /**
+   * Queues the download of the thumbnail or full image of a ProgressiveImage,
+   * or updates its priority if it is already queued. When the download
+   * starts, `image._loadImage(kind)` is called.
+   *
+   * @param {ProgressiveImage} image - The image to load.
+   * @param {string} kind - 'thumbnail' or 'full'.
+   * @param {object} priority - The band ('visible', 'primary' or 'secondary')
+   *                            of the image, and its distance from the center
+   *                            of the viewport.
+   */
+  this.enqueue = function(image, kind, priority) {
+    if (this._indexOf(this.inFlight, image, kind) !== -1) {
+      return;
+    }
+
+    var index = this._indexOf(this.queue, image, kind);
+    if (index !== -1) {
+      this.queue[index].priority = priority;
+    } else {
+      this.queue.push({ image: image, kind: kind, priority: priority });
+    }
+
+    this._scheduleProcess();
+  };
+
+  /**
+   * Updates the priority of the queued downloads of an image, when it has
+   * moved with respect to the viewport.
+   *
+   * @param {ProgressiveImage} image - The image.
+   * @param {object} priority - The new priority of its downloads.
+   */
+  this.prioritize = function(image, priority) {
+    this.queue.forEach(function(job) {
+      if (job.image === image) {
+        job.priority = priority;
+      }
+    });
+  };
+
+  /**
+   * Called when a download has finished, whether it succeeded or failed, so
+   * that the next queued download can start.
+   *
+   * @param {ProgressiveImage} image - The image that was loading.
+   * @param {string} kind - 'thumbnail' or 'full'.
+   */
+  this.release = function(image, kind) {
+    var index = this._indexOf(this.inFlight, image, kind);
+    if (index !== -1) {
+      this.inFlight.splice(index, 1);
+      this._scheduleProcess();
+    }
+  };
+
+  /**
+   * Forgets the queued and started downloads of an image that was removed
+   * from the page. The image is responsible for aborting its started
+   * downloads, by clearing the `src` of its images.
+   *
+   * @param {ProgressiveImage} image - The image that was removed.
+   */
+  this.cancel = function(image) {
+    var isOtherImage = function(job) {
+      return job.image !== image;
+    };
+
+    this.queue = this.queue.filter(isOtherImage);
+    if (this.inFlight.some(function(job) { return job.image === image; })) {
+      this.inFlight = this.inFlight.filter(isOtherImage);
+      this._scheduleProcess();
+    }
+  };
+
+  /**
+   * Forgets every download, and stops starting new ones.
+   */
+  this.clear = function() {
+    clearTimeout(this.processTimeout);
+    this.processTimeout = null;
+    this.queue = [];
+    this.inFlight = [];
+  };
+
+  /**
+   * Starts the queued downloads in a timeout, so that when the layout adds
+   * many figures at once, their priorities are all known before any of them
+   * starts.
+   */
+  this._scheduleProcess = function() {
+    if (!this.processTimeout) {
+      this.processTimeout = setTimeout(this._process.bind(this), 0);
+    }
+  };
+
+  /**
+   * Starts the queued downloads with the highest priority, until
+   * `settings.maxConcurrentLoads` downloads are in flight.
+   */
+  this._process = function() {
+    this.processTimeout = null;
+    this.queue.sort(this._compare);
+
+    while (this.queue.length && this.inFlight.length < this.pig.settings.maxConcurrentLoads) {
+      var job = this.queue.shift();
+      this.inFlight.push(job);
+      job.image._loadImage(job.kind);
+    }
+  };
+
+  /**
+   * Compares two queued downloads, so that the download that should start
+   * first comes first.
+   *
+   * @param {object} a - A queued download.
+   * @param {object} b - Another queued download.
+   *
+   * @returns {Number} A negative number if `a` should start first.
+   */
+  this._compare = function(a, b) {
+    var bands = ['visible', 'primary', 'secondary'];
+    var kinds = ['thumbnail', 'full'];
+
+    return (bands.indexOf(a.priority.band) - bands.indexOf(b.priority.band)) ||
+      (kinds.indexOf(a.kind) - kinds.indexOf(b.kind)) ||
+      (a.priority.distance - b.priority.distance);
+  };
+
+  /**
+   * Returns the index of the download of the given image and kind in a list
+   * of downloads.
+   *
+   * @param {array} jobs - The list of downloads.
+   * @param {ProgressiveImage} image - The image.
+   * @param {string} kind - 'thumbnail' or 'full'.
+   *
+   * @returns {Number} The index, or -1 if there is no such download.
+   */
+  this._indexOf = function(jobs, image, kind) {
+    for (var i = 0; i < jobs.length; i++) {
+      if (jobs[i].image === image && jobs[i].kind === kind) {
+        return i;
+      }
+    }
+
+    return -1;
+  };
+
+  return this;
+}
@@ -1,10 +1,20 @@
 import React from 'react';
+import ReactDOM from 'react-dom';
 import { ProgressiveImage } from './ProgressiveImage';
+import { GroupHeader } from './GroupHeader';
+import { Viewer } from './Viewer';
+import { DragReorder } from './DragReorder';
+import { ImageLoader } from './ImageLoader';
+import { computeLayout } from './computeLayout';
+import { getStyleSheet, getInlineStyles } from './styles';
+
+// The <style> tags injected by `_injectStyle`, shared by the Pig instances
+// that use the same settings. Keyed by the CSS they contain.
+var injectedStyles = {};
 
 export default class Pig extends React.Component {
   constructor(props) {
     super(props);
-    this.state = { imageData: props.imageData };
 
     /**
      * Creates an instance of the progressive image grid, inserting boilerplate
@@ -28,25 +38,79 @@ export default class Pig extends React.Component {
     // Global State
     this.inRAF = false;
     this.isTransitioning = false;
-    this.minAspectRatioRequiresTransition = false;
-    this.minAspectRatio = null;
     this.latestYOffset = 0;
-    this.lastWindowWidth = window.innerWidth;
+    this.lastWindowWidth = null;
     this.scrollDirection = 'down';
 
-    // List of images that are loading or completely loaded on screen.
+    // Whether the layout was computed since the images on the page were last
+    // styled. Until it is, `_doLayout` only touches the images and headers
+    // that are added to or removed from the page.
+    this.layoutChanged = false;
+
+    // List of images that are loading or completely loaded on screen, and of
+    // the group headers on screen.
     this.visibleImages = [];
+    this.visibleHeaders = [];
+
+    // The imageIds of the selected images, and the index of the image that was
+    // clicked last, from which a shift-click selects a range.
+    this.selectedKeys = {};
+    this.selectionAnchor = null;
+
+    // The index of the image that receives focus when tabbing into the grid,
+    // and the elements with the `row` role that group the images of each row
+    // for assistive technology.
+    this.focusedIndex = 0;
+    this.rowElements = {};
+
+    // The width of the container at the last layout, and the elements whose
+    // visibility tells us when to update which images are loaded, when
+    // `settings.useIntersectionObserver` is set.
+    this.lastContainerWidth = null;
+    this.sentinels = [];
+
+    // What was last reported to the analytics callbacks: the range of images
+    // in the viewport, the keys of the images that were seen (with timers for
+    // those that may soon be), and the height of the grid when its end was
+    // reached.
+    this.visibleRange = null;
+    this.impressions = {};
+    this.impressionTimeouts = {};
+    this.endReachedHeight = null;
+
+    // The images on the page whose overlay is rendered with the
+    // `renderOverlay` prop, and the image data and layout style each was
+    // rendered with.
+    this.state = { overlays: [] };
+
+    // The last layout computed by `computeLayout`, from which the layout of
+    // appended images continues.
+    this.layout = null;
+
+    // The headers of the groups of images in the grid, in order, and every
+    // header we created, by group key.
+    this.headers = [];
+    this.groupHeaders = {};
 
     // These are the default settings, which may be overridden.
     this.settings = {
 
       /**
        * Type: string
-       * Default: 'pig'
-       * Description: The class name of the element inside of which images should
-       *   be loaded.
+       * Default: null
+       * Description: The ID of an existing element inside of which images
+       *   should be loaded. By default, images are loaded into the element
+       *   rendered by the component.
+       */
+      containerId: null,
+
+      /**
+       * Type: string
+       * Default: null
+       * Description: The accessible name of the grid, announced by screen
+       *   readers.
        */
-      containerId: 'pig',
+      ariaLabel: null,
 
       /**
        * Type: string
@@ -78,6 +142,49 @@ export default class Pig extends React.Component {
        */
       transitionSpeed: 500,
 
+      /**
+       * Type: object
+       * Default: {
+       *   backgroundColor: '#D5D5D5',
+       *   blurRadius: 30,
+       *   borderRadius: 0,
+       *   easing: 'ease',
+       *   hover: null,
+       * }
+       * Description: The look of the grid: the background color of images
+       *   that have not loaded yet, the radius in pixels of the blur of the
+       *   thumbnails, the radius in pixels of the corners of the images, the
+       *   timing function of the transitions, and the CSS properties (such as
+       *   `{filter: 'brightness(1.1)'}`) applied to an image on hover. Options
+       *   that are not given keep their default.
+       */
+      style: {
+        backgroundColor: '#D5D5D5',
+        blurRadius: 30,
+        borderRadius: 0,
+        easing: 'ease',
+        hover: null,
+      },
+
+      /**
+       * Type: string
+       * Default: null
+       * Description: The nonce of the <style> tag that Pig injects, for pages
+       *   whose Content-Security-Policy only allows styles with that nonce.
+       */
+      nonce: null,
+
+      /**
+       * Type: Boolean
+       * Default: false
+       * Description: Whether to leave the stylesheet of the grid out of the
+       *   page, to be served with the site's own CSS instead. The styles that
+       *   position the elements of the grid are then set on the elements
+       *   themselves, and the rest, including `style`, must be given to their
+       *   class names.
+       */
+      disableStyleInjection: false,
+
       /**
        * Type: Number
        * Default: 3000
@@ -98,6 +205,16 @@ export default class Pig extends React.Component {
        */
       secondaryImageBufferHeight: 300,
 
+      /**
+       * Type: Number
+       * Default: 6
+       * Description: The maximum number of thumbnails and full images that
+       *   are downloading at the same time. The others wait in a queue, in
+       *   which images in the viewport come first, then those in the primary
+       *   buffer, then those in the secondary buffer.
+       */
+      maxConcurrentLoads: 6,
+
       /**
        * Type: Number
        * Default: 20
@@ -107,11 +224,91 @@ export default class Pig extends React.Component {
        */
       thumbnailSize: 20,
 
+      /**
+       * Type: HTMLElement or ref object
+       * Default: null
+       * Description: The scrollable element that contains the grid, either as
+       *   an element or as a React ref to one. Scrolling this element drives
+       *   the loading and unloading of images. By default, the window is used.
+       */
+      scrollElement: null,
+
+      /**
+       * Type: Boolean
+       * Default: false
+       * Description: Whether the `lastWindowWidth` passed to
+       *   `getMinAspectRatio`, `getImageSize` and the other responsive
+       *   settings is the width of the container instead of the width of the
+       *   window, so that the breakpoints follow the container.
+       */
+      breakpointsFromContainer: false,
+
+      /**
+       * Type: Boolean
+       * Default: false
+       * Description: Whether to use an IntersectionObserver, instead of
+       *   listening to scroll events, to find out when the images that are
+       *   loaded need to change. Falls back to scroll events if the browser
+       *   has no IntersectionObserver, or if `stickyGroupHeaders` is set,
+       *   since sticky headers follow every scroll event.
+       */
+      useIntersectionObserver: false,
+
+      /**
+       * Type: Number
+       * Default: null
+       * Description: The width in pixels of the container to assume when
+       *   rendering on the server. When it is given, the first screen of
+       *   images is rendered with their thumbnails on the server, and taken
+       *   over on the client.
+       */
+      ssrWidth: null,
+
+      /**
+       * Type: Number
+       * Default: 1000
+       * Description: The height in pixels of the first screen of images that
+       *   is rendered on the server.
+       */
+      ssrHeight: 1000,
+
+      /**
+       * Type: Number
+       * Default: 48
+       * Description: Height in pixels of the header row that starts each group
+       *   of images, when images are grouped.
+       */
+      groupHeaderHeight: 48,
+
+      /**
+       * Type: Boolean
+       * Default: false
+       * Description: Whether the header of the group the user is scrolling
+       *   through should stick to the top of the viewport.
+       */
+      stickyGroupHeaders: false,
+
+      /**
+       * Get the content of the header of a group of images.
+       *
+       * @param {string} groupKey - The key of the group.
+       * @param {object} group - The group object, if the images were passed
+       *                         as grouped data.
+       *
+       * @returns {string|HTMLElement} The text or the element to show in the
+       *                               header.
+       */
+      renderGroupHeader: function(groupKey, group) {
+        return String(groupKey);
+      },
+
       /**
        * Get the URL for an image with the given filename & size.
        *
        * @param {string} filename - The filename of the image.
        * @param {Number} size - The size (height in pixels) of the image.
+       * @param {string} [format] - One of `settings.formats`, or undefined
+       *                            for the original format of the image.
        *
        * @returns {string} The URL of the image at the given size.
        */
@@ -119,8 +316,68 @@ export default class Pig extends React.Component {
         return '/img/' + size + '/' + filename;
       },
 
+      /**
+       * Get the URL for the video of a video tile with the given filename &
+       * size. The poster of the video is given by `urlForSize`.
+       *
+       * @param {string} filename - The filename of the video.
+       * @param {Number} size - The size (height in pixels) of the video.
+       *
+       * @returns {string} The URL of the video at the given size.
+       */
+      urlForVideo: function(filename, size) {
+        return '/video/' + size + '/' + filename;
+      },
+
       onClick: function(elem) {},
 
+      /**
+       * Type: Boolean
+       * Default: false
+       * Description: Whether images can be selected. In selection mode,
+       *   clicking an image toggles whether it is selected, and shift-clicking
+       *   an image selects all the images between it and the image clicked
+       *   before. `onClick` is not called in selection mode.
+       */
+      selectable: false,
+
+      /**
+       * Called when the selection changes. If the `selectedIds` prop is given,
+       * the selection is controlled, and it is only changed by passing new
+       * `selectedIds`.
+       *
+       * @param {array} selectedIds - The imageIds of the selected images, in
+       *                              the order of the grid.
+       */
+      onSelectionChange: function(selectedIds) {},
+
+      /**
+       * Type: Boolean
+       * Default: false
+       * Description: Whether clicking an image opens it in a full screen
+       *   viewer, in which the user can navigate to the neighbouring images.
+       */
+      viewer: false,
+
+      /**
+       * Type: Boolean
+       * Default: false
+       * Description: Whether the user can reorder the images by dragging
+       *   them, with the mouse or by touch. Images can only be moved within
+       *   their group.
+       */
+      reorderable: false,
+
+      /**
+       * Called when the user has dropped an image at a new position. The grid
+       * keeps the new order until the `imageData` prop changes.
+       *
+       * @param {array} newOrder - The imageIds of all the images, in their new
+       *                           order, including those that are filtered
+       *                           out.
+       */
+      onReorder: function(newOrder) {},
+
       /**
        * Get the minimum required aspect ratio for a valid row of images. The
        * perfect rows are maintained by building up a row of images by adding
@@ -145,6 +402,60 @@ export default class Pig extends React.Component {
         return 6;
       },
 
+      /**
+       * Type: string
+       * Default: 'greedy'
+       * Description: How images are laid out. 'greedy' fills each row until
+       *   its aspect ratio reaches the minimum aspect ratio. 'optimal'
+       *   chooses the rows of each group so that, across the whole group,
+       *   row heights deviate as little as possible from the target row
+       *   height. 'masonry' places images of equal width in a fixed number
+       *   of columns, each in the shortest column.
+       */
+      layoutMode: 'greedy',
+
+      /**
+       * Get the number of columns of the 'masonry' layout mode. Responsive
+       * reordering is achieved through changes to what this function returns
+       * at different values of the passed parameter `lastWindowWidth`.
+       *
+       * @param {Number} lastWindowWidth - The last computed width of the
+       *                                   browser window.
+       *
+       * @returns {Number} The number of columns at this window width.
+       */
+      getColumnCount: function(lastWindowWidth) {
+        if (lastWindowWidth <= 640)
+          return 2;
+        else if (lastWindowWidth <= 1280)
+          return 3;
+        else if (lastWindowWidth <= 1920)
+          return 4;
+        return 5;
+      },
+
+      /**
+       * Type: Boolean
+       * Default: true
+       * Description: Whether the last row of the grid, and of each group, is
+       *   stretched to the full width of the container. If false, a last row
+       *   that would be taller than the target row height is left at the
+       *   target row height instead.
+       */
+      stretchLastRow: true,
+
+      /**
+       * Get the target height in pixels of a row of images. By default (when
+       * this is null), it is the height of a row whose aspect ratio is the
+       * minimum aspect ratio.
+       *
+       * @param {Number} lastWindowWidth - The last computed width of the
+       *                                   browser window.
+       *
+       * @returns {Number} The target row height at this window width.
+       */
+      getTargetRowHeight: null,
+
       /**
        * Get the image size (height in pixels) to use for this window width.
        * Responsive resizing of images is achieved through changes to what this
@@ -162,45 +473,430 @@ export default class Pig extends React.Component {
         else if (lastWindowWidth <= 1920)
           return 250;
         return 500;
+      },
+
+      /**
+       * Type: array
+       * Default: null
+       * Description: The sizes (heights in pixels) that `urlForSize` can
+       *   provide, in ascending order. When given, instead of
+       *   `getImageSize`, each image is loaded at the smallest of these sizes
+       *   that is at least the height of its tile times the device pixel
+       *   ratio, and its `srcset` lists all of them, so the browser can pick
+       *   a better one when the tile or the pixel ratio changes.
+       */
+      imageSizes: null,
+
+      /**
+       * Type: array
+       * Default: null
+       * Description: Modern formats that `urlForSize` can provide, in order
+       *   of preference, e.g. ['avif', 'webp']. When given, the full image is
+       *   a <picture> element with a <source> for each format, and the
+       *   browser loads the first format it supports, falling back to the
+       *   original format.
+       */
+      formats: null,
+
+      /**
+       * Type: Number
+       * Default: 2
+       * Description: How many times to retry loading a thumbnail or full
+       *   image that failed to load, before giving up.
+       */
+      maxRetries: 2,
+
+      /**
+       * Type: Number
+       * Default: 1000
+       * Description: Time in milliseconds to wait before the first retry.
+       *   The time doubles with each retry.
+       */
+      retryDelay: 1000,
+
+      /**
+       * Type: string
+       * Default: null
+       * Description: The URL of an image to show in place of a full image
+       *   that failed to load. Without it, the figure is left empty, and gets
+       *   the `pig-error` class so that it can be styled.
+       */
+      fallbackUrl: null,
+
+      /**
+       * Called when a thumbnail or full image has failed to load, after all
+       * retries.
+       *
+       * @param {object} imageData - The data of the image.
+       * @param {string} kind - 'thumbnail' or 'full'.
+       */
+      onImageError: function(imageData, kind) {},
+
+      /**
+       * Called when a thumbnail or full image has loaded.
+       *
+       * @param {object} imageData - The data of the image.
+       * @param {string} kind - 'thumbnail' or 'full'.
+       */
+      onImageLoad: function(imageData, kind) {},
+
+      /**
+       * Called when the layout of the grid has been computed, on load, on
+       * resize, and when the images change.
+       *
+       * @param {object} layout - The `totalHeight` of the grid in pixels,
+       *                          and its `rowCount`, the number of rows of
+       *                          images.
+       */
+      onLayout: function(layout) {},
+
+      /**
+       * Called when the images in the viewport have changed.
+       *
+       * @param {object} range - The `firstIndex` and `lastIndex` of the
+       *                         images in the viewport, which are -1 if there
+       *                         are none.
+       */
+      onVisibleRangeChange: function(range) {},
+
+      /**
+       * Called once for each image, the first time at least
+       * `impressionThreshold` of its tile has been in the viewport for
+       * `impressionDelay` milliseconds.
+       *
+       * @param {object} imageData - The data of the image.
+       */
+      onImageVisible: function(imageData) {},
+
+      /**
+       * Type: Number
+       * Default: 0.5
+       * Description: The part of the height of a tile, from 0 to 1, that has
+       *   to be in the viewport for `onImageVisible`.
+       */
+      impressionThreshold: 0.5,
+
+      /**
+       * Type: Number
+       * Default: 1000
+       * Description: Time in milliseconds a tile has to stay in the viewport
+       *   for `onImageVisible`.
+       */
+      impressionDelay: 1000,
+
+      /**
+       * Called when the bottom of the viewport comes within
+       * `endReachedThreshold` pixels of the bottom of the grid, for example
+       * to load the next page of images. It is called again once the grid has
+       * grown.
+       */
+      onEndReached: function() {},
+
+      /**
+       * Type: Number
+       * Default: 1000
+       * Description: The distance in pixels from the bottom of the grid at
+       *   which `onEndReached` is called.
+       */
+      endReachedThreshold: 1000,
+
+      /**
+       * Get the image size (height in pixels) to use in the full screen
+       * viewer for this window width.
+       *
+       * @param {Number} lastWindowWidth - The last computed width of the
+       *                                   browser window.
+       *
+       * @returns {Number} The size (height in pixels) of the images to load
+       *                   in the viewer.
+       */
+      getViewerImageSize: function(lastWindowWidth) {
+        if (lastWindowWidth <= 640)
+          return 500;
+        return 1000;
       }
     };
 
-    // We extend the default settings with the provided overrides.
+    // We extend the default settings with the provided overrides. The style
+    // options are merged with their defaults one by one.
+    var defaultStyle = this.settings.style;
     Object.assign(this.settings, this.props.options || {});
+    this.settings.style = Object.assign({}, defaultStyle, this.settings.style);
+
+    // The styles set on the elements we create, by kind of element, when the
+    // stylesheet is not injected.
+    this.inlineStyles = this.settings.disableStyleInjection ?
+      getInlineStyles(this.settings) :
+      {};
+
+    // Queues the downloads of the images, so that the most important ones
+    // start first.
+    this.imageLoader = new ImageLoader(this);
+
+    // Keep a reference to the container element we render.
+    this.setContainerElement = function(element) {
+      this.containerElement = element;
+    }.bind(this);
+
+    // The first screen of images, laid out at an assumed width, for rendering
+    // on the server and for hydrating what was rendered there.
+    if (this.settings.ssrWidth && this.props.imageData && !this.settings.containerId) {
+      this.serverMarkup = this._getServerMarkup(this.props.imageData);
+    }
+  }
+
+  componentDidMount() {
+    if (this.props.selectedIds) {
+      this._applySelection(this.props.selectedIds);
+    }
+
+    if (this.props.imageData) {
+      this._initialize(this.props.imageData);
+    }
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.props.selectedIds !== prevProps.selectedIds && this.props.selectedIds) {
+      this._applySelection(this.props.selectedIds);
+    }
+
+    if (this.props.imageData !== prevProps.imageData && this.props.imageData) {
+      if (!this.images) {
+        this._initialize(this.props.imageData);
+      } else {
+        this._updateImageData(this.props.imageData);
+      }
+    } else if (this.images &&
+      (this.props.filter !== prevProps.filter || this.props.sort !== prevProps.sort)) {
+      this._updateView();
+    }
+  }
 
-    if(this.state.imageData) {
-      // Find the container to load images into, if it exists.
+  /**
+   * Find the container, create the ProgressiveImage instances and start
+   * listening to scroll and resize events.
+   *
+   * @param {array} imageData - An array of metadata about each image to
+   *                            include in the grid.
+   */
+  _initialize(imageData) {
+    // Find the container to load images into. Unless we were given the ID of
+    // an existing element, this is the element we rendered.
+    if (this.settings.containerId) {
       this.container = document.getElementById(this.settings.containerId);
       if (!this.container) {
         console.error('Could not find element with ID ' + this.settings.containerId);
+        return;
       }
+      this.container.classList.add(this.settings.classPrefix + '-container');
+    } else {
+      this.container = this.containerElement;
+    }
+    this._applyInlineStyle(this.container, 'container');
+
+    this.lastWindowWidth = this._getBreakpointWidth();
+
+    if (this.serverMarkup) {
+      this._hydrate();
+    }
+
+    // The container is a grid of rows of images for assistive technology.
+    this.container.setAttribute('role', 'grid');
+    if (this.settings.ariaLabel) {
+      this.container.setAttribute('aria-label', this.settings.ariaLabel);
+    }
+
+    // Our global reference for images in the grid.  Note that not all of these
+    // images are necessarily in view or loaded. They may already have been
+    // created to render the server markup.
+    if (!this.images) {
+      this.allImages = this._parseImageData(imageData);
+      this.images = this._getViewImages(this.allImages);
+    }
 
-      // Our global reference for images in the grid.  Note that not all of these
-      // images are necessarily in view or loaded.
-      this.images = this._parseImageData(this.state.imageData);
+    // Inject our boilerplate CSS.
+    if (!this.settings.disableStyleInjection) {
+      this._injectStyle();
+    }
+
+    if (this.settings.viewer) {
+      this.viewer = new Viewer(this);
+    }
+
+    if (this.settings.reorderable) {
+      this.dragReorder = new DragReorder(this);
+    }
+
+    this.onScroll = this._getOnScroll();
+    this.onResize = this._onResize.bind(this);
+    this.resizeManager = this.optimizedResize();
+    this.resizeManager.add(this.onResize);
+
+    // The container can change size without the window changing size, for
+    // example when a sidebar is collapsed. The relayout is deferred to the
+    // next frame like that of a window resize, as it changes the height of
+    // the observed container.
+    if (window.ResizeObserver) {
+      this.resizeObserver = new window.ResizeObserver(this.resizeManager.schedule);
+    }
 
-      // Inject our boilerplate CSS.
-      this._injectStyle(this.settings.containerId, this.settings.classPrefix, this.settings.transitionSpeed);
+    this.enable();
+  }
 
-      // if(!this.state.disable) {
-        this.onScroll = this._getOnScroll();
-        window.addEventListener('scroll', this.onScroll);
+  componentWillUnmount() {
+    if (!this.images) {
+      return;
+    }
 
-        this.onScroll();
-        this._computeLayout();
-        this._doLayout();
+    this.disable();
+    clearTimeout(this.transitionTimeout);
+    Object.keys(this.impressionTimeouts).forEach(function(key) {
+      clearTimeout(this.impressionTimeouts[key]);
+    }.bind(this));
+    if (this.viewer) {
+      this.viewer.destroy();
+    }
+    if (this.dragReorder) {
+      this.dragReorder.destroy();
+    }
 
-        this.optimizedResize().add(function() {
-          this.lastWindowWidth = window.innerWidth;
-          this._computeLayout();
-          this._doLayout();
-        }.bind(this));
-      // }
+    // Remove all of our figures and headers from the container, including
+    // those that are fading out.
+    this.allImages.forEach(function(image) {
+      image.hide();
+    });
+    this.imageLoader.clear();
+    this.headers.forEach(function(header) {
+      header.hide();
+    });
+    Object.keys(this.rowElements).map(function(rowNumber) {
+      return this.rowElements[rowNumber];
+    }.bind(this)).concat(this.sentinels).forEach(function(element) {
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+    this.sentinels = [];
+    this.container.style.height = '';
+    if (this.settings.containerId) {
+      this.container.classList.remove(this.settings.classPrefix + '-container');
+      Object.keys(this.inlineStyles.container || {}).forEach(function(property) {
+        this.container.style.removeProperty(property);
+      }.bind(this));
+      ['role', 'aria-label', 'aria-rowcount'].forEach(function(attribute) {
+        this.container.removeAttribute(attribute);
+      }.bind(this));
     }
+
+    this._removeStyle();
   }
 
   render() {
-    return(null)
+    // The overlays are rendered into the figures of their images, which are
+    // not managed by React, through portals.
+    var overlays = this.props.renderOverlay ?
+      this.state.overlays.map(function(overlay) {
+        return ReactDOM.createPortal(
+          this.props.renderOverlay(overlay.imageData, overlay.style),
+          overlay.image.getOverlayElement(),
+          String(overlay.image.imageId));
+      }.bind(this)) :
+      [];
+
+    if (this.settings.containerId) {
+      return overlays.length ? overlays : null;
+    }
+
+    // The server markup is never changed by React once it is rendered, so
+    // that we can take over its elements on the client.
+    return [React.createElement('div', {
+      key: 'container',
+      className: this.settings.classPrefix + '-container',
+      ref: this.setContainerElement,
+      role: 'grid',
+      'aria-label': this.settings.ariaLabel || undefined,
+      style: this.serverMarkup ? { position: 'relative', height: this.serverHeight } : undefined,
+      dangerouslySetInnerHTML: this.serverMarkup ? { __html: this.serverMarkup } : undefined,
+    })].concat(overlays);
+  }
+
+  /**
+   * Renders the overlays of the images on the page again if they have
+   * changed: if images were added to or removed from the page, or if their
+   * layout or their `imageData` changed. Overlays are mounted and unmounted
+   * together with their images.
+   */
+  _updateOverlays() {
+    if (!this.props.renderOverlay) {
+      return;
+    }
+
+    var overlays = this.visibleImages.map(function(image) {
+      return { image: image, imageData: image.imageData, style: image.style };
+    });
+    var previousOverlays = this.state.overlays;
+    var hasChanged = overlays.length !== previousOverlays.length ||
+      overlays.some(function(overlay, i) {
+        return overlay.image !== previousOverlays[i].image ||
+          overlay.imageData !== previousOverlays[i].imageData ||
+          overlay.style !== previousOverlays[i].style;
+      });
+
+    if (hasChanged) {
+      this.setState({ overlays: overlays });
+    }
+  }
+
+  /**
+   * Lays out the grid at `settings.ssrWidth`, and returns the markup of the
+   * images and headers within the first `settings.ssrHeight` pixels.
+   *
+   * @param {array} imageData - An array of metadata about each image to
+   *                            include in the grid.
+   *
+   * @returns {string} The HTML markup of the first screen of the grid.
+   */
+  _getServerMarkup(imageData) {
+    var markup = '';
+
+    this.lastWindowWidth = this.settings.ssrWidth;
+    this.allImages = this._parseImageData(imageData);
+    this.images = this._getViewImages(this.allImages);
+    this._computeLayout();
+    this.serverHeight = this.totalHeight;
+
+    this.images.concat(this.headers).forEach(function(item) {
+      if (item.style.translateY < this.settings.ssrHeight) {
+        markup += item.getMarkup();
+      }
+    }.bind(this));
+
+    return markup;
+  }
+
+  /**
+   * Takes over the figures rendered on the server, if the real window width
+   * gives the same minimum aspect ratio (or, in masonry mode, the same number
+   * of columns) as `settings.ssrWidth`. The rows are then the same, and the
+   * figures keep their thumbnails while they are resized to the real width.
+   * Otherwise, the server markup is replaced.
+   */
+  _hydrate() {
+    var getBreakpoint = this.settings.layoutMode === 'masonry' ?
+      this.settings.getColumnCount :
+      this.settings.getMinAspectRatio;
+    var keepFigures = getBreakpoint(this.lastWindowWidth) ===
+      getBreakpoint(this.settings.ssrWidth);
+
+    [].slice.call(this.container.children).forEach(function(element) {
+      var index = element.getAttribute('data-pig-index');
+      if (keepFigures && index !== null && this.images[index]) {
+        this.images[index].adoptElement(element);
+        this.visibleImages.push(this.images[index]);
+      } else {
+        this.container.removeChild(element);
+      }
+    }.bind(this));
   }
 
   /**
@@ -213,21 +909,23 @@ export default class Pig extends React.Component {
   optimizedResize() {
     var callbacks = [];
     var running = false;
+    var pending = null;
 
     // fired on resize event
     function resize() {
       if (!running) {
         running = true;
         if (window.requestAnimationFrame) {
-          window.requestAnimationFrame(runCallbacks);
+          pending = window.requestAnimationFrame(runCallbacks);
         } else {
-          setTimeout(runCallbacks, 66);
+          pending = setTimeout(runCallbacks, 66);
         }
       }
     }
 
     // run the actual callbacks
     function runCallbacks() {
+      pending = null;
       callbacks.forEach(function(callback) {
         callback();
       });
@@ -236,6 +934,12 @@ export default class Pig extends React.Component {
     }
 
     return {
+      /**
+       * Schedules a run of the callbacks, as a resize event does. Several
+       * calls before the run result in a single one.
+       */
+      schedule: resize,
+
       /**
        * Add a callback to be run on resize.
        *
@@ -250,10 +954,20 @@ export default class Pig extends React.Component {
       },
 
       /**
-       * Disables all resize handlers.
+       * Disables all resize handlers, cancelling a pending run of the
+       * callbacks.
        */
       disable: function() {
         window.removeEventListener('resize', resize);
+        if (pending !== null) {
+          if (window.requestAnimationFrame) {
+            window.cancelAnimationFrame(pending);
+          } else {
+            clearTimeout(pending);
+          }
+          pending = null;
+          running = false;
+        }
       },
 
       /**
@@ -266,17 +980,101 @@ export default class Pig extends React.Component {
   };
 
   /**
-   * Returns the distance from `elem` to the top of the page. This is done by
-   * walking up the node tree, getting the offsetTop of each parent node, until
-   * the top of the page.
+   * Called when the window or the container is resized. If the width of the
+   * container, or the width the breakpoints are based on, has changed, the
+   * layout is computed again.
+   */
+  _onResize() {
+    var breakpointWidth = this._getBreakpointWidth();
+    if (breakpointWidth === this.lastWindowWidth &&
+      parseInt(this.container.clientWidth, 10) === this.lastContainerWidth) {
+      return;
+    }
+
+    this.lastWindowWidth = breakpointWidth;
+    this._relayout();
+  }
+
+  /**
+   * Returns the width that the responsive settings are based on: the width of
+   * the window, or of the container if `settings.breakpointsFromContainer` is
+   * set.
    *
-   * @param {object} elem - The element to compute the offset of.
-   **/
-  _getOffsetTop(elem){
-    var offsetTop = 0;
-    do {
-      if (!isNaN(elem.offsetTop)){
-        offsetTop += elem.offsetTop;
+   * @returns {Number} The width in pixels.
+   */
+  _getBreakpointWidth() {
+    return this.settings.breakpointsFromContainer ?
+      parseInt(this.container.clientWidth, 10) :
+      window.innerWidth;
+  }
+
+  /**
+   * Returns the element whose scrolling drives the grid: the window, unless
+   * `settings.scrollElement` is given. Returns null if we were given a ref
+   * that is not attached yet.
+   *
+   * @returns {object} The window, the scroll element, or null.
+   */
+  _getScrollElement() {
+    var scrollElement = this.settings.scrollElement;
+    if (!scrollElement) {
+      return window;
+    }
+
+    if ('current' in scrollElement) {
+      return scrollElement.current;
+    }
+
+    return scrollElement;
+  }
+
+  /**
+   * Returns how far the scroll element has been scrolled from its top.
+   *
+   * @returns {Number} The scroll offset in pixels.
+   */
+  _getScrollTop() {
+    var scrollElement = this._getScrollElement();
+    if (scrollElement === window) {
+      return window.pageYOffset;
+    }
+
+    return scrollElement.scrollTop;
+  }
+
+  /**
+   * Returns the height of the visible area of the scroll element.
+   *
+   * @returns {Number} The height of the viewport in pixels.
+   */
+  _getViewportHeight() {
+    var scrollElement = this._getScrollElement();
+    if (scrollElement === window) {
+      return window.innerHeight;
+    }
+
+    return scrollElement.clientHeight;
+  }
+
+  /**
+   * Returns the distance from `elem` to the top of the scrolled content. For
+   * the window, this is done by walking up the node tree, getting the
+   * offsetTop of each parent node, until the top of the page. For a scroll
+   * element, we compare the bounding rectangles of both elements.
+   *
+   * @param {object} elem - The element to compute the offset of.
+   **/
+  _getOffsetTop(elem){
+    var scrollElement = this._getScrollElement();
+    if (scrollElement !== window) {
+      return elem.getBoundingClientRect().top -
+        scrollElement.getBoundingClientRect().top + scrollElement.scrollTop;
+    }
+
+    var offsetTop = 0;
+    do {
+      if (!isNaN(elem.offsetTop)){
+        offsetTop += elem.offsetTop;
       }
       elem = elem.offsetParent;
     } while(elem);
@@ -286,49 +1084,25 @@ export default class Pig extends React.Component {
   /**
    * Inject CSS needed to make the grid work in the <head></head>.
    *
-   * @param {string} classPrefix - the prefix associated with this library that
-   *                               should be prepended to classnames.
-   * @param {string} containerId - ID of the container for the images.
-   */
-  _injectStyle(containerId, classPrefix, transitionSpeed) {
-
-    var css = (
-      '#' + containerId + ' {' +
-      '  position: relative;' +
-      '}' +
-      '.' + classPrefix + '-figure {' +
-      '  background-color: #D5D5D5;' +
-      '  overflow: hidden;' +
-      '  left: 0;' +
-      '  position: absolute;' +
-      '  top: 0;' +
-      '  margin: 0;' +
-      '}' +
-      '.' + classPrefix + '-figure img {' +
-      '  left: 0;' +
-      '  position: absolute;' +
-      '  top: 0;' +
-      '  height: 100%;' +
-      '  opacity: 0;' +
-      '  transition: ' + (transitionSpeed / 1000) + 's ease opacity;' +
-      '  -webkit-transition: ' + (transitionSpeed / 1000) + 's ease opacity;' +
-      '}' +
-      '.' + classPrefix + '-figure img.' + classPrefix + '-thumbnail {' +
-      '  -webkit-filter: blur(30px);' +
-      '  filter: blur(30px);' +
-      '  left: auto;' +
-      '  position: relative;' +
-      '  width: auto;' +
-      '}' +
-      '.' + classPrefix + '-figure img.' + classPrefix + '-loaded {' +
-      '  opacity: 1;' +
-      '}'
-    );
+   * The <style> tag is shared by every Pig instance that uses the same
+   * settings, and is reference counted so that it is only removed from the
+   * page once the last of these instances is unmounted.
+   */
+  _injectStyle() {
+    var css = getStyleSheet(this.settings);
+    this.styleKey = css;
+    if (injectedStyles[this.styleKey]) {
+      injectedStyles[this.styleKey].count++;
+      return;
+    }
 
     var head = document.head || document.getElementsByTagName("head")[0];
     var style = document.createElement("style");
 
     style.type = "text/css";
+    if (this.settings.nonce) {
+      style.setAttribute('nonce', this.settings.nonce);
+    }
     if (style.styleSheet) {
       style.styleSheet.cssText = css;
     } else {
@@ -336,6 +1110,38 @@ export default class Pig extends React.Component {
     }
 
     head.appendChild(style);
+    injectedStyles[this.styleKey] = { element: style, count: 1 };
+  }
+
+  /**
+   * Sets the styles that position an element of the given kind on the element
+   * itself, when the stylesheet is not injected.
+   *
+   * @param {HTMLElement} element - The element to style.
+   * @param {string} kind - The kind of element, such as 'figure' or 'header'.
+   */
+  _applyInlineStyle(element, kind) {
+    var declarations = this.inlineStyles[kind] || {};
+    Object.keys(declarations).forEach(function(property) {
+      element.style.setProperty(property, declarations[property]);
+    });
+  }
+
+  /**
+   * Release this instance's reference to the CSS injected by `_injectStyle`,
+   * removing the <style> tag if no other instance uses it.
+   */
+  _removeStyle() {
+    var injectedStyle = injectedStyles[this.styleKey];
+    if (!injectedStyle) {
+      return;
+    }
+
+    injectedStyle.count--;
+    if (!injectedStyle.count) {
+      injectedStyle.element.parentNode.removeChild(injectedStyle.element);
+      delete injectedStyles[this.styleKey];
+    }
   }
 
   /**
@@ -377,7 +1183,7 @@ export default class Pig extends React.Component {
    * |                           |                      A
    * |                           |                      |
    * |                           |                      |
-   * |        Viewport           |              window.innerHeight
+   * |        Viewport           |          this._getViewportHeight()
    * |                           |                      |
    * |                           |                      |
    * |                           |                      V
@@ -402,7 +1208,16 @@ export default class Pig extends React.Component {
    */
   _doLayout() {
     // Set the container height
-    this.container.style.height = this.totalHeight + 'px';
+    if (this.layoutChanged) {
+      this.container.style.height = this.totalHeight + 'px';
+      this.container.setAttribute('aria-rowcount', this.rowCount);
+    }
+
+    // We can't tell which images are visible until the scroll element is
+    // attached.
+    if (!this.scrollElement) {
+      return;
+    }
 
     // Get the top and bottom buffers heights.
     var bufferTop =
@@ -411,12 +1226,12 @@ export default class Pig extends React.Component {
       this.settings.secondaryImageBufferHeight;
     var bufferBottom =
       (this.scrollDirection === 'down') ?
-      this.settings.secondaryImageBufferHeight :
-      this.settings.primaryImageBufferHeight;
+      this.settings.primaryImageBufferHeight :
+      this.settings.secondaryImageBufferHeight;
 
     // Now we compute the location of the top and bottom buffers:
     var containerOffset = this._getOffsetTop(this.container);
-    var windowHeight = window.innerHeight;
+    var windowHeight = this._getViewportHeight();
 
     // This is the top of the top buffer. If the bottom of an image is above
     // this line, it will be removed.
@@ -424,21 +1239,694 @@ export default class Pig extends React.Component {
 
     // This is the bottom of the bottom buffer.  If the top of an image is
     // below this line, it will be removed.
-    var maxTranslateY = this.latestYOffset + windowHeight + bufferBottom;
+    var maxTranslateY = this.latestYOffset - containerOffset + windowHeight + bufferBottom;
+
+    // The viewport, in which images are loaded first.
+    var viewportTop = this.latestYOffset - containerOffset;
+    var viewportBottom = viewportTop + windowHeight;
+    var viewportCenter = viewportTop + windowHeight / 2;
+
+    this._updateSentinels();
+
+    // Here, we find the rows that are inside our buffers with a binary search,
+    // and insert their images. Then, the images that were on the page but are
+    // not inside our buffers anymore are removed. This way, only the images
+    // near the viewport are touched, however many images the grid has.
+    //
+    // The image that has focus, and the image that is being dragged, are
+    // never removed, so that users don't lose their place.
+    var focusedElement = document.activeElement;
+    var draggedImage = this.dragReorder && this.dragReorder.image;
+    var rowRange = this._getRowRange(minTranslateYPlusHeight, maxTranslateY);
+    var imagesInRange = {};
+    var visibleImages = [];
+    var imagesInViewport = [];
+
+    this.rows.slice(rowRange.first, rowRange.last + 1).forEach(function(row, i) {
+      var nextRow = this.rows[rowRange.first + i + 1];
+      var rowImages = this.images.slice(row.index, nextRow ? nextRow.index : undefined);
+
+      rowImages.forEach(function(image) {
+        // In masonry mode, the images of a row can be at different heights.
+        if (image.style.translateY + image.style.height < minTranslateYPlusHeight ||
+          image.style.translateY > maxTranslateY) {
+          return;
+        }
 
-    // Here, we loop over every image, determine if it is inside our buffers or
-    // no, and either insert it or remove it appropriately.
-    this.images.forEach(function(image) {
+        // Load Image, with the priority of the band it is in.
+        var isBelow = image.style.translateY >= viewportBottom;
+        var isAbove = image.style.translateY + image.style.height <= viewportTop;
+        var band = 'visible';
+        if (isBelow || isAbove) {
+          band = (isBelow === (this.scrollDirection === 'down')) ? 'primary' : 'secondary';
+        } else {
+          imagesInViewport.push(image);
+        }
+
+        var priority = {
+          band: band,
+          distance: Math.abs(image.style.translateY + image.style.height / 2 - viewportCenter),
+        };
+        if (image.existsOnPage && !this.layoutChanged) {
+          image.setPriority(priority);
+        } else {
+          image.load(priority);
+        }
+        imagesInRange[image.index] = image;
+        visibleImages.push(image);
+      }.bind(this));
+    }.bind(this));
 
-      if (image.style.translateY + image.style.height < minTranslateYPlusHeight ||
-        image.style.translateY > maxTranslateY) {
+    this.visibleImages.forEach(function(image) {
+      if (imagesInRange[image.index] === image) {
+        return;
+      }
+
+      if (image.existsOnPage && (image.element === focusedElement || image === draggedImage)) {
+        image.setPlaying(false);
+        visibleImages.push(image);
+      } else {
         // Hide Image
         image.hide();
-      } else {
-        // Load Image
-        image.load();
       }
     });
+    this.visibleImages = visibleImages;
+
+    this._updateRowElements();
+    this._updateOverlays();
+    this._reportVisibility(imagesInViewport, viewportTop, viewportBottom);
+
+    // Headers are added and removed the same way. A sticky header is placed
+    // at the top of the viewport while the user scrolls through its group,
+    // until the next group pushes it up. Only the last header above the
+    // viewport can be stuck. Like images, headers that stay on the page are
+    // only restyled when the layout has changed, or while they are stuck.
+    var stuckHeaders = this.visibleHeaders.filter(function(header) {
+      return header.stickyTranslateY !== null;
+    });
+    var firstHeader = this._findFirst(this.headers, function(header) {
+      return header.style.translateY + header.style.height >= minTranslateYPlusHeight;
+    });
+    var lastHeader = this._findFirst(this.headers, function(header) {
+      return header.style.translateY > maxTranslateY;
+    }) - 1;
+    var stuckHeader = this._findFirst(this.headers, function(header) {
+      return header.style.translateY >= viewportTop;
+    }) - 1;
+
+    var visibleHeaders = this.headers.slice(firstHeader, lastHeader + 1);
+    var header = this.headers[stuckHeader];
+    if (this.settings.stickyGroupHeaders && header) {
+      var nextHeader = this.headers[stuckHeader + 1];
+      var groupBottom = nextHeader ?
+        nextHeader.style.translateY - this.settings.spaceBetweenImages :
+        this.totalHeight;
+
+      header.stickyTranslateY = null;
+      if (viewportTop < groupBottom) {
+        header.stickyTranslateY = Math.min(viewportTop, groupBottom - header.style.height);
+        if (visibleHeaders.indexOf(header) === -1) {
+          visibleHeaders.push(header);
+        }
+      }
+    }
+
+    this.visibleHeaders.forEach(function(header) {
+      if (visibleHeaders.indexOf(header) === -1) {
+        header.stickyTranslateY = null;
+        header.hide();
+      }
+    });
+    visibleHeaders.forEach(function(header) {
+      if (header !== this.headers[stuckHeader] || !this.settings.stickyGroupHeaders) {
+        header.stickyTranslateY = null;
+      }
+      if (!header.existsOnPage || this.layoutChanged || header.stickyTranslateY !== null ||
+        stuckHeaders.indexOf(header) !== -1) {
+        header.load();
+      }
+    }.bind(this));
+    this.visibleHeaders = visibleHeaders;
+    this.layoutChanged = false;
+  }
+
+  /**
+   * Calls `settings.onVisibleRangeChange` if the images in the viewport have
+   * changed, times the impressions of the images in the viewport for
+   * `settings.onImageVisible`, and calls `settings.onEndReached` if the
+   * viewport is near the bottom of the grid.
+   *
+   * @param {array} imagesInViewport - The images whose tiles are at least
+   *                                   partly in the viewport.
+   * @param {Number} viewportTop - The top of the viewport, in pixels from the
+   *                               top of the grid.
+   * @param {Number} viewportBottom - The bottom of the viewport.
+   */
+  _reportVisibility(imagesInViewport, viewportTop, viewportBottom) {
+    var firstIndex = -1;
+    var lastIndex = -1;
+    var impressionTimeouts = {};
+
+    imagesInViewport.forEach(function(image) {
+      firstIndex = firstIndex === -1 ? image.index : Math.min(firstIndex, image.index);
+      lastIndex = Math.max(lastIndex, image.index);
+
+      // Time how long enough of the tile has been in the viewport, unless the
+      // image was already seen.
+      var key = this._getImageKey(image.imageData);
+      var style = image.style;
+      var visibleHeight = Math.min(style.translateY + style.height, viewportBottom) -
+        Math.max(style.translateY, viewportTop);
+      if (this.impressions[key] || visibleHeight < style.height * this.settings.impressionThreshold) {
+        return;
+      }
+
+      impressionTimeouts[key] = this.impressionTimeouts[key] || setTimeout(function() {
+        delete this.impressionTimeouts[key];
+        this.impressions[key] = true;
+        this.settings.onImageVisible(image.imageData);
+      }.bind(this), this.settings.impressionDelay);
+    }.bind(this));
+
+    // The tiles that have left the viewport start over.
+    Object.keys(this.impressionTimeouts).forEach(function(key) {
+      if (!impressionTimeouts[key]) {
+        clearTimeout(this.impressionTimeouts[key]);
+      }
+    }.bind(this));
+    this.impressionTimeouts = impressionTimeouts;
+
+    if (!this.visibleRange || this.visibleRange.firstIndex !== firstIndex ||
+      this.visibleRange.lastIndex !== lastIndex) {
+      this.visibleRange = { firstIndex: firstIndex, lastIndex: lastIndex };
+      this.settings.onVisibleRangeChange(this.visibleRange);
+    }
+
+    if (viewportBottom >= this.totalHeight - this.settings.endReachedThreshold &&
+      this.endReachedHeight !== this.totalHeight) {
+      this.endReachedHeight = this.totalHeight;
+      this.settings.onEndReached();
+    }
+  }
+
+  /**
+   * Returns the first and last rows that may have images between the given
+   * heights, using a binary search over the `top` and `bottom` values that
+   * `computeLayout` gave them. If no row does, `first` is greater than `last`.
+   *
+   * @param {Number} top - The top of the range, in pixels from the top of the
+   *                       grid.
+   * @param {Number} bottom - The bottom of the range.
+   *
+   * @returns {object} The `first` and `last` row numbers.
+   */
+  _getRowRange(top, bottom) {
+    return {
+      first: this._findFirst(this.rows, function(row) {
+        return row.bottom >= top;
+      }),
+      last: this._findFirst(this.rows, function(row) {
+        return row.top > bottom;
+      }) - 1,
+    };
+  }
+
+  /**
+   * Returns the index of the first item of a list for which the predicate is
+   * true, using a binary search. The predicate must be false for every item
+   * before that one, and true for every item after it.
+   *
+   * @param {array} items - The list to search.
+   * @param {function} predicate - The test for each item.
+   *
+   * @returns {Number} The index of the first item, or the length of the list
+   *                   if there is none.
+   */
+  _findFirst(items, predicate) {
+    var low = 0;
+    var high = items.length;
+
+    while (low < high) {
+      var middle = Math.floor((low + high) / 2);
+      if (predicate(items[middle])) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * When an IntersectionObserver tells us which images to load, the height of
+   * the grid is covered by empty sentinel elements, stacked one on top of the
+   * other. Whenever an edge of the viewport crosses from one sentinel to the
+   * next, the observer calls `this.onScroll`. The sentinels are no taller
+   * than the buffers, so the viewport never moves past the images that are
+   * loaded between two calls.
+   */
+  _updateSentinels() {
+    if (!this.intersectionObserver) {
+      return;
+    }
+
+    var sentinelHeight = Math.max(Math.min(
+      this.settings.primaryImageBufferHeight,
+      this.settings.secondaryImageBufferHeight), 100);
+    var sentinelCount = Math.ceil(this.totalHeight / sentinelHeight);
+
+    while (this.sentinels.length < sentinelCount) {
+      var sentinel = document.createElement('div');
+      sentinel.className = this.settings.classPrefix + '-sentinel';
+      this._applyInlineStyle(sentinel, 'sentinel');
+      sentinel.setAttribute('aria-hidden', 'true');
+      sentinel.style.top = (this.sentinels.length * sentinelHeight) + 'px';
+      sentinel.style.height = sentinelHeight + 'px';
+      this.container.appendChild(sentinel);
+      this.intersectionObserver.observe(sentinel);
+      this.sentinels.push(sentinel);
+    }
+
+    this.sentinels.splice(sentinelCount).forEach(function(sentinel) {
+      this.intersectionObserver.unobserve(sentinel);
+      this.container.removeChild(sentinel);
+    }.bind(this));
+  }
+
+  /**
+   * Adds an element with the `row` role for each row that has images on the
+   * page, and removes the others. The images are absolutely positioned
+   * children of the container, so the row elements are empty, and own the
+   * images of their row through `aria-owns`.
+   *
+   * If the image that receives focus when tabbing into the grid was removed
+   * from the page, the first image on the page receives focus instead.
+   */
+  _updateRowElements() {
+    var rowElements = {};
+
+    this.visibleImages.forEach(function(image) {
+      var rowNumber = this._getRowNumberOfIndex(image.index);
+      if (rowElements[rowNumber]) {
+        return;
+      }
+
+      var row = this.rows[rowNumber];
+      var nextRow = this.rows[rowNumber + 1];
+      var rowImages = this.images.slice(row.index, nextRow ? nextRow.index : undefined);
+      var rowElement = this.rowElements[rowNumber];
+
+      if (!rowElement) {
+        rowElement = document.createElement('div');
+        rowElement.className = this.settings.classPrefix + '-row';
+        rowElement.setAttribute('role', 'row');
+      }
+      rowElements[rowNumber] = rowElement;
+
+      var owns = rowImages.map(function(image) {
+        return image.getElement().id;
+      }).join(' ');
+      if (rowElement.getAttribute('aria-owns') !== owns) {
+        rowElement.setAttribute('aria-owns', owns);
+      }
+      if (rowElement.getAttribute('aria-rowindex') !== String(row.ariaRowIndex)) {
+        rowElement.setAttribute('aria-rowindex', row.ariaRowIndex);
+      }
+
+      if (!rowElement.parentNode) {
+        this.container.appendChild(rowElement);
+      }
+    }.bind(this));
+
+    // Remove the elements of rows that have no images on the page anymore.
+    Object.keys(this.rowElements).forEach(function(rowNumber) {
+      var rowElement = this.rowElements[rowNumber];
+      if (rowElements[rowNumber] !== rowElement && rowElement.parentNode) {
+        rowElement.parentNode.removeChild(rowElement);
+      }
+    }.bind(this));
+    this.rowElements = rowElements;
+
+    var firstImageOnPage = this.visibleImages[0];
+    var focusedImage = this.images[this.focusedIndex];
+    if (firstImageOnPage && (!focusedImage || !focusedImage.existsOnPage)) {
+      this.focusedIndex = firstImageOnPage.index;
+      firstImageOnPage.updateAttributes();
+    }
+  }
+
+  /**
+   * Returns the number of the row that contains the image at the given index,
+   * using a binary search over `this.rows`.
+   *
+   * @param {Number} index - The index of the image.
+   *
+   * @returns {Number} The number of the row.
+   */
+  _getRowNumberOfIndex(index) {
+    return Math.max(this._findFirst(this.rows || [], function(row) {
+      return row.index > index;
+    }) - 1, 0);
+  }
+
+  /**
+   * Returns the row that contains the image at the given index.
+   *
+   * @param {Number} index - The index of the image.
+   *
+   * @returns {object} The row, or undefined if there is none.
+   */
+  _getRowOfIndex(index) {
+    return (this.rows || [])[this._getRowNumberOfIndex(index)];
+  }
+
+  /**
+   * Called when an image receives focus. It becomes the image that receives
+   * focus when tabbing into the grid.
+   *
+   * @param {ProgressiveImage} image - The image that received focus.
+   */
+  _onImageFocus(image) {
+    var previousImage = this.images[this.focusedIndex];
+
+    this.focusedIndex = image.index;
+    if (previousImage && previousImage !== image) {
+      previousImage.updateAttributes();
+    }
+    image.updateAttributes();
+  }
+
+  /**
+   * Called on keydown on an image. The arrow keys move focus to the
+   * neighbouring image in that direction, using the computed layout to find
+   * the image above or below. Home and End move focus to the first or last
+   * image of the row, or of the grid with the Control key. Enter acts like a
+   * click, and so does Space in selection mode.
+   *
+   * @param {ProgressiveImage} image - The image that has focus.
+   * @param {Event} event - The keydown event.
+   */
+  _onImageKeyDown(image, event) {
+    var rowNumber = this._getRowNumberOfIndex(image.index);
+    var row = this.rows[rowNumber];
+    var nextRow = this.rows[rowNumber + 1];
+    var rowEnd = (nextRow ? nextRow.index : this.images.length) - 1;
+    var targetIndex = null;
+
+    switch (event.key) {
+      case 'ArrowLeft':
+        targetIndex = image.index - 1;
+        break;
+      case 'ArrowRight':
+        targetIndex = image.index + 1;
+        break;
+      case 'ArrowUp':
+        targetIndex = this._getClosestIndexInRow(image, this.rows[rowNumber - 1]);
+        break;
+      case 'ArrowDown':
+        targetIndex = this._getClosestIndexInRow(image, nextRow);
+        break;
+      case 'Home':
+        targetIndex = event.ctrlKey ? 0 : row.index;
+        break;
+      case 'End':
+        targetIndex = event.ctrlKey ? this.images.length - 1 : rowEnd;
+        break;
+      case 'Enter':
+        this._onImageClick(image, event);
+        event.preventDefault();
+        return;
+      case ' ':
+        if (this.settings.selectable) {
+          this._onImageClick(image, event);
+          event.preventDefault();
+        }
+        return;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    if (targetIndex !== null && this.images[targetIndex]) {
+      this._focusImage(this.images[targetIndex]);
+    }
+  }
+
+  /**
+   * Returns the index of the image in the given row whose horizontal center is
+   * closest to that of the given image.
+   *
+   * @param {ProgressiveImage} image - The image to start from.
+   * @param {object} row - The row to look in.
+   *
+   * @returns {Number} The index of the closest image, or null if there is no
+   *                   such row.
+   */
+  _getClosestIndexInRow(image, row) {
+    if (!row) {
+      return null;
+    }
+
+    var center = image.style.translateX + image.style.width / 2;
+    var nextRow = this.rows[this._getRowNumberOfIndex(row.index) + 1];
+    var rowEnd = nextRow ? nextRow.index : this.images.length;
+    var closestIndex = row.index;
+
+    for (var index = row.index; index < rowEnd; index++) {
+      var candidate = this.images[index].style;
+      var closest = this.images[closestIndex].style;
+      if (Math.abs(candidate.translateX + candidate.width / 2 - center) <
+        Math.abs(closest.translateX + closest.width / 2 - center)) {
+        closestIndex = index;
+      }
+    }
+
+    return closestIndex;
+  }
+
+  /**
+   * Moves focus to the given image, loading it first if it is not on the page.
+   * Focusing the element scrolls it into view, which loads its neighbours.
+   *
+   * @param {ProgressiveImage} image - The image to focus.
+   */
+  _focusImage(image) {
+    image.load();
+    if (this.visibleImages.indexOf(image) === -1) {
+      this.visibleImages.push(image);
+    }
+    this._onImageFocus(image);
+    image.getElement().focus();
+  }
+
+  /**
+   * Returns the rectangle of the window that the tile of the given image
+   * occupies, computed from its layout, whether or not it is on the page.
+   *
+   * @param {ProgressiveImage} image - The image.
+   *
+   * @returns {object} The left, top, width and height of the tile.
+   */
+  _getImageRect(image) {
+    var containerRect = this.container.getBoundingClientRect();
+
+    return {
+      left: containerRect.left + image.style.translateX,
+      top: containerRect.top + image.style.translateY,
+      width: image.style.width,
+      height: image.style.height,
+    };
+  }
+
+  /**
+   * Returns the image whose tile contains the given point of the container,
+   * using a binary search to find the rows around it.
+   *
+   * @param {Number} x - The distance in pixels from the left of the grid.
+   * @param {Number} y - The distance in pixels from the top of the grid.
+   *
+   * @returns {ProgressiveImage} The image, or null if the point is between
+   *                             tiles or outside the grid.
+   */
+  _getImageAt(x, y) {
+    var rowRange = this._getRowRange(y, y);
+
+    for (var rowNumber = rowRange.first; rowNumber <= rowRange.last; rowNumber++) {
+      var nextRow = this.rows[rowNumber + 1];
+      var rowEnd = nextRow ? nextRow.index : this.images.length;
+
+      for (var index = this.rows[rowNumber].index; index < rowEnd; index++) {
+        var style = this.images[index].style;
+        if (x >= style.translateX && x < style.translateX + style.width &&
+          y >= style.translateY && y < style.translateY + style.height) {
+          return this.images[index];
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Scrolls the grid so that the given image is in the middle of the
+   * viewport, unless it is already completely in view.
+   *
+   * @param {ProgressiveImage} image - The image to scroll into view.
+   */
+  _scrollImageIntoView(image) {
+    var viewportHeight = this._getViewportHeight();
+    var scrollTop = this._getScrollTop();
+    var imageTop = this._getImageScrollTop(image, 'start');
+
+    if (imageTop < scrollTop || imageTop + image.style.height > scrollTop + viewportHeight) {
+      this._scrollTo(this._getImageScrollTop(image, 'center'));
+    }
+  }
+
+  /**
+   * Returns the scroll offset at which the given image is aligned with the
+   * top, the middle or the bottom of the viewport. At the top, the image is
+   * placed below the sticky header of its group.
+   *
+   * @param {ProgressiveImage} image - The image.
+   * @param {string} align - 'start', 'center' or 'end'.
+   *
+   * @returns {Number} The scroll offset in pixels.
+   */
+  _getImageScrollTop(image, align) {
+    var imageTop = this._getOffsetTop(this.container) + image.style.translateY;
+    var viewportHeight = this._getViewportHeight();
+
+    if (align === 'center') {
+      return imageTop - (viewportHeight - image.style.height) / 2;
+    }
+    if (align === 'end') {
+      return imageTop + image.style.height - viewportHeight;
+    }
+
+    if (this.settings.stickyGroupHeaders && image.groupKey !== undefined && image.groupKey !== null) {
+      imageTop -= this.settings.groupHeaderHeight + this.settings.spaceBetweenImages;
+    }
+    return imageTop;
+  }
+
+  /**
+   * Scrolls the scroll element to the given offset, and lays out the grid for
+   * the new position.
+   *
+   * @param {Number} scrollTop - The new scroll offset in pixels.
+   * @param {boolean} [smooth] - Whether the browser should scroll smoothly.
+   */
+  _scrollTo(scrollTop, smooth) {
+    var scrollElement = this._getScrollElement();
+    scrollTop = Math.max(scrollTop, 0);
+
+    if (smooth && scrollElement.scrollTo) {
+      scrollElement.scrollTo({
+        left: scrollElement === window ? window.pageXOffset : scrollElement.scrollLeft,
+        top: scrollTop,
+        behavior: 'smooth',
+      });
+    } else if (scrollElement === window) {
+      window.scrollTo(window.pageXOffset, scrollTop);
+    } else {
+      scrollElement.scrollTop = scrollTop;
+    }
+
+    this.onScroll();
+  }
+
+  /**
+   * Scrolls the grid to the image with the given imageId. If the grid has not
+   * been laid out yet, it is scrolled once it is.
+   *
+   * @param {string} imageId - The imageId of the image.
+   * @param {object} [options] - `align`: 'start' (the default), 'center' or
+   *                             'end', where to place the image in the
+   *                             viewport. `smooth`: whether to scroll
+   *                             smoothly.
+   *
+   * @returns {object} The Pig instance.
+   */
+  scrollToImage(imageId, options) {
+    options = options || {};
+
+    if (!this.rows || !this.scrollElement) {
+      this.pendingScrollToImage = { imageId: imageId, options: options };
+      return this;
+    }
+
+    var image = this.images.filter(function(gridImage) {
+      return String(gridImage.imageId) === String(imageId);
+    })[0];
+    if (image) {
+      this._scrollTo(this._getImageScrollTop(image, options.align || 'start'), options.smooth);
+    }
+    return this;
+  }
+
+  /**
+   * Computes the layout again, and updates the DOM, keeping the image at the
+   * top of the viewport in place. Without this, the scroll offset would stay
+   * the same while every tile moves, and the user would be looking at other
+   * images.
+   *
+   * @param {Number} [fromIndex] - The index of the first image whose layout
+   *                               needs to be computed.
+   * @param {object} [anchor] - The image to keep in place, as returned by
+   *                            `_getScrollAnchor`. It must be taken before the
+   *                            images of the grid change, as it is read from
+   *                            the rows of the previous layout. Defaults to
+   *                            the current anchor.
+   */
+  _relayout(fromIndex, anchor) {
+    if (anchor === undefined) {
+      anchor = this._getScrollAnchor();
+    }
+
+    this._computeLayout(fromIndex);
+    this._doLayout();
+
+    if (anchor && this.images[anchor.image.index] === anchor.image) {
+      var scrollTop = this._getOffsetTop(this.container) + anchor.image.style.translateY - anchor.offset;
+      if (Math.round(scrollTop) !== Math.round(this._getScrollTop())) {
+        this._scrollTo(scrollTop);
+      }
+    }
+  }
+
+  /**
+   * Returns the first image whose tile is at the top of the viewport, and the
+   * distance from the top of the viewport to the top of its tile. There is no
+   * such image until the grid has been laid out and scrolled into.
+   *
+   * @returns {object} The `image` and its `offset` in pixels, or null.
+   */
+  _getScrollAnchor() {
+    if (!this.rows || !this.scrollElement) {
+      return null;
+    }
+
+    var viewportTop = this._getScrollTop() - this._getOffsetTop(this.container);
+    if (viewportTop <= 0) {
+      return null;
+    }
+
+    var rowRange = this._getRowRange(viewportTop, viewportTop + this._getViewportHeight());
+    for (var rowNumber = rowRange.first; rowNumber <= rowRange.last; rowNumber++) {
+      var nextRow = this.rows[rowNumber + 1];
+      var rowEnd = nextRow ? nextRow.index : this.images.length;
+
+      for (var index = this.rows[rowNumber].index; index < rowEnd; index++) {
+        var style = this.images[index].style;
+        if (style.translateY + style.height > viewportTop) {
+          return { image: this.images[index], offset: style.translateY - viewportTop };
+        }
+      }
+    }
+
+    return null;
   }
 
   /**
@@ -463,7 +1951,7 @@ export default class Pig extends React.Component {
     var onScroll = function() {
       // Compute the scroll direction using the latestYOffset and the
       // previousYOffset
-      var newYOffset = window.pageYOffset;
+      var newYOffset = _this._getScrollTop();
       _this.previousYOffset = _this.latestYOffset || newYOffset;
       _this.latestYOffset = newYOffset;
       _this.scrollDirection = (_this.latestYOffset > _this.previousYOffset) ? 'down' : 'up';
@@ -471,7 +1959,7 @@ export default class Pig extends React.Component {
       // Call _this.doLayout, guarded by window.requestAnimationFrame
       if (!_this.inRAF) {
         _this.inRAF = true;
-        window.requestAnimationFrame(function() {
+        _this.scrollRAF = window.requestAnimationFrame(function() {
           _this._doLayout();
           _this.inRAF = false;
         });
@@ -507,26 +1995,30 @@ export default class Pig extends React.Component {
    */
   _getTransitionString() {
     if (this.isTransitioning) {
-      return (this.settings.transitionSpeed / 1000) + 's transform ease';
+      return (this.settings.transitionSpeed / 1000) + 's transform ' + this.settings.style.easing;
     }
 
     return 'none';
   };
 
   /**
-   * Computes the current value for `this.minAspectRatio`, using the
-   * `getMinAspectRatio` function defined in the settings. Then,
-   * `this.minAspectRatioRequiresTransition` will be set, depending on whether
-   * or not the value of this.minAspectRatio has changed.
+   * If we are not currently transitioning, we mark isTransitioning true. If
+   * this is the case, then `this._getTransitionString()` will ensure that each
+   * image has a value like "0.5s transform ease". This will cause images to
+   * animate as they change position. Once we determine that the transtion is
+   * probably over (using `this._getTransitionTimeout`) we unset
+   * `this.isTransitioning`, so that future calls to `_computeLayout` will set
+   * "transition: none".
    */
-  _recomputeMinAspectRatio() {
-    var oldMinAspectRatio = this.minAspectRatio;
-    this.minAspectRatio = this.settings.getMinAspectRatio(this.lastWindowWidth);
+  _startTransition() {
+    if (this.isTransitioning) {
+      return;
+    }
 
-    if (oldMinAspectRatio !== null && oldMinAspectRatio !== this.minAspectRatio)
-      this.minAspectRatioRequiresTransition = true;
-    else
-      this.minAspectRatioRequiresTransition = false;
+    this.isTransitioning = true;
+    this.transitionTimeout = setTimeout(function() {
+      this.isTransitioning = false;
+    }.bind(this), this._getTransitionTimeout());
   };
 
   /**
@@ -544,8 +2036,9 @@ export default class Pig extends React.Component {
   _parseImageData(imageData) {
     var progressiveImages = [];
 
-    this.state.imageData.forEach(function(image, index) {
-      var progressiveImage = new ProgressiveImage(image, index, this);
+    this._flattenImageData(imageData).forEach(function(entry, index) {
+      var progressiveImage = new ProgressiveImage(entry.imageData, index, this);
+      progressiveImage.groupKey = entry.groupKey;
       progressiveImages.push(progressiveImage);
     }.bind(this));
 
@@ -553,13 +2046,472 @@ export default class Pig extends React.Component {
   };
 
   /**
-   * Remove all scroll and resize listeners.
+   * Images may be grouped either by giving each image a `groupKey`, or by
+   * passing grouped data: a list of groups, each with a `groupKey` and a list
+   * of `images`. This flattens both forms into a single list of images, and
+   * remembers the group objects so that they can be passed on to
+   * `settings.renderGroupHeader`.
+   *
+   * @param {array} imageData - An array of metadata about each image, or
+   *                            about each group of images.
+   *
+   * @returns {array} A list of objects with the `imageData` of each image and
+   *                  its `groupKey`.
+   */
+  _flattenImageData(imageData) {
+    var entries = [];
+    this.groups = {};
+
+    imageData.forEach(function(item) {
+      if (Array.isArray(item.images)) {
+        this.groups[item.groupKey] = item;
+        item.images.forEach(function(image) {
+          entries.push({ imageData: image, groupKey: item.groupKey });
+        });
+      } else {
+        entries.push({ imageData: item, groupKey: item.groupKey });
+      }
+    }.bind(this));
+
+    return entries;
+  }
+
+  /**
+   * Returns the GroupHeader of the group with the given key, creating it if
+   * it doesn't exist yet.
+   *
+   * @param {string} groupKey - The key of the group.
+   *
+   * @returns {GroupHeader} The header of the group.
+   */
+  _getGroupHeader(groupKey) {
+    if (!this.groupHeaders[groupKey]) {
+      this.groupHeaders[groupKey] = new GroupHeader(groupKey, this.groups[groupKey], this);
+    } else if (this.groupHeaders[groupKey].group !== this.groups[groupKey]) {
+      this.groupHeaders[groupKey].update(this.groups[groupKey]);
+    }
+
+    return this.groupHeaders[groupKey];
+  }
+
+  /**
+   * Returns the key used to match an entry of `imageData` with an existing
+   * ProgressiveImage when the `imageData` prop changes. We use the imageId,
+   * falling back to the filename for images that were given no imageId.
+   *
+   * @param {object} singleImageData - The metadata of a single image.
+   *
+   * @returns {string} The key of the image.
+   */
+  _getImageKey(singleImageData) {
+    if (singleImageData.imageId !== undefined && singleImageData.imageId !== null) {
+      return String(singleImageData.imageId);
+    }
+    return singleImageData.filename;
+  }
+
+  /**
+   * Updates the grid to reflect a new `imageData` prop.
+   *
+   * Images are matched with the existing ProgressiveImage instances by
+   * `imageId`, so that images which are already loaded keep their instance
+   * and DOM nodes. If the new data only appends images to the end of the old
+   * data, we only lay out the new rows. Otherwise, images were removed,
+   * replaced, reordered or given a new aspect ratio, so we compute the entire
+   * layout again and let the tiles that moved transition to their new place.
+   *
+   * @param {array} imageData - The new array of metadata about each image to
+   *                            include in the grid.
+   */
+  _updateImageData(imageData) {
+    if (this.dragReorder) {
+      this.dragReorder.cancel();
+    }
+
+    var anchor = this._getScrollAnchor();
+    var previousImages = this.images;
+    var previousGroupKeys = previousImages.map(function(image) {
+      return image.groupKey;
+    });
+    var previousAspectRatios = previousImages.map(function(image) {
+      return image.aspectRatio;
+    });
+    var existingImages = {};
+    var entries = this._flattenImageData(imageData);
+
+    // Images that are filtered out are matched too, so that they don't have
+    // to be loaded again when the filter changes.
+    this.allImages.forEach(function(image) {
+      existingImages[this._getImageKey(image.imageData)] = image;
+    }.bind(this));
+
+    this.allImages = entries.map(function(entry, index) {
+      var singleImageData = entry.imageData;
+      var key = this._getImageKey(singleImageData);
+      var image = existingImages[key];
+
+      if (image && image.filename === singleImageData.filename) {
+        delete existingImages[key];
+        image.update(singleImageData, index);
+      } else {
+        image = new ProgressiveImage(singleImageData, index, this);
+      }
+
+      image.groupKey = entry.groupKey;
+      return image;
+    }.bind(this));
+
+    // Whatever is left over is no longer part of the grid.
+    Object.keys(existingImages).forEach(function(key) {
+      existingImages[key].hide();
+    });
+
+    this.images = this._getViewImages(this.allImages);
+    var isAppend = this.images.length >= previousImages.length &&
+      previousImages.every(function(image, index) {
+        return this.images[index] === image &&
+          image.groupKey === previousGroupKeys[index] &&
+          image.aspectRatio === previousAspectRatios[index];
+      }.bind(this));
+
+    if (isAppend) {
+      this._relayout(previousImages.length, anchor);
+    } else {
+      this._startTransition();
+      this._relayout(undefined, anchor);
+    }
+  }
+
+  /**
+   * Puts the images of the grid in the given order, and lets the tiles
+   * transition to their new place. The focused image keeps focus.
+   *
+   * @param {array} images - The ProgressiveImage instances of the grid, in
+   *                         their new order.
+   * @param {Number} [fromIndex] - The first index whose image has changed.
+   *                               The rows before it keep their layout.
+   */
+  _setImageOrder(images, fromIndex) {
+    // The images that are filtered out keep their place among all the images,
+    // and the images of the grid fill the other places in their new order, so
+    // that the order survives a change of the filter.
+    var position = 0;
+    this.allImages = this.allImages.map(function(image) {
+      return this.images[image.index] === image ? images[position++] : image;
+    }.bind(this));
+
+    this._setGridImages(images);
+    this._startTransition();
+    this._computeLayout(fromIndex);
+    this._doLayout();
+  }
+
+  /**
+   * Makes the given images the images of the grid, updating their indices.
+   * The focused image keeps focus.
+   *
+   * @param {array} images - The ProgressiveImage instances of the grid, in
+   *                         order.
+   */
+  _setGridImages(images) {
+    var focusedImage = this.images && this.images[this.focusedIndex];
+
+    this.images = images;
+    this.images.forEach(function(image, index) {
+      image.index = index;
+    });
+    if (focusedImage && this.images[focusedImage.index] === focusedImage) {
+      this.focusedIndex = focusedImage.index;
+    }
+    this.selectionAnchor = null;
+  }
+
+  /**
+   * Returns the images that pass the `filter` prop, in the order given by the
+   * `sort` prop. The images are only sorted within their group, and the
+   * groups keep their order. Both props are given the `imageData` objects of
+   * the images, like `Array.prototype.filter` and `Array.prototype.sort`.
+   *
+   * @param {array} allImages - All the ProgressiveImage instances, in the
+   *                            order of the `imageData` prop.
+   *
+   * @returns {array} The ProgressiveImage instances to show in the grid.
+   */
+  _getViewImages(allImages) {
+    var filter = this.props.filter;
+    var sort = this.props.sort;
+
+    var images = filter ?
+      allImages.filter(function(image) {
+        return filter(image.imageData);
+      }) :
+      allImages.slice();
+
+    if (sort) {
+      // Each run of images of the same group is sorted on its own. Ties keep
+      // the order of the `imageData` prop.
+      var groupNumber = 0;
+      images = images.map(function(image, position) {
+        if (position && image.groupKey !== images[position - 1].groupKey) {
+          groupNumber++;
+        }
+        return { image: image, position: position, groupNumber: groupNumber };
+      }).sort(function(a, b) {
+        return (a.groupNumber - b.groupNumber) ||
+          sort(a.image.imageData, b.image.imageData) ||
+          (a.position - b.position);
+      }).map(function(entry) {
+        return entry.image;
+      });
+    }
+
+    images.forEach(function(image, index) {
+      image.index = index;
+    });
+    return images;
+  }
+
+  /**
+   * Updates the grid to reflect new `filter` or `sort` props. The tiles that
+   * stay in the grid transition to their new place, the tiles that are
+   * filtered out fade out, and the tiles that are added fade in. The images
+   * keep their ProgressiveImage instances, so that nothing is loaded again.
+   */
+  _updateView() {
+    if (this.dragReorder) {
+      this.dragReorder.cancel();
+    }
+
+    var anchor = this._getScrollAnchor();
+    var wasInGrid = {};
+    this.images.forEach(function(image) {
+      wasInGrid[this._getImageKey(image.imageData)] = true;
+    }.bind(this));
+
+    this._setGridImages(this._getViewImages(this.allImages));
+
+    this.visibleImages = this.visibleImages.filter(function(image) {
+      if (this.images[image.index] === image) {
+        return true;
+      }
+      image.fadeOut();
+      return false;
+    }.bind(this));
+
+    this._startTransition();
+    this._relayout(undefined, anchor);
+
+    this.visibleImages.forEach(function(image) {
+      if (!wasInGrid[this._getImageKey(image.imageData)]) {
+        image.fadeIn();
+      }
+    }.bind(this));
+  }
+
+  /**
+   * Called when an image is clicked. In selection mode, this toggles whether
+   * the image is selected, or selects a range of images on shift-click.
+   * Otherwise, the image is opened in the viewer, if it is enabled, and
+   * `settings.onClick` is called.
+   *
+   * @param {ProgressiveImage} image - The image that was clicked.
+   * @param {Event} event - The click event.
+   */
+  _onImageClick(image, event) {
+    if (!this.settings.selectable) {
+      if (this.viewer) {
+        this.viewer.open(image);
+      }
+      this.settings.onClick.call(image, image.getElement(), event);
+      return;
+    }
+
+    var selectedKeys = Object.assign({}, this.selectedKeys);
+    var key = String(image.imageId);
+
+    if (event && event.shiftKey && this.selectionAnchor !== null) {
+      var start = Math.min(this.selectionAnchor, image.index);
+      var end = Math.max(this.selectionAnchor, image.index);
+      this.images.slice(start, end + 1).forEach(function(rangeImage) {
+        selectedKeys[String(rangeImage.imageId)] = true;
+      });
+    } else if (selectedKeys[key]) {
+      delete selectedKeys[key];
+    } else {
+      selectedKeys[key] = true;
+    }
+
+    this.selectionAnchor = image.index;
+    this._setSelection(this.images.filter(function(gridImage) {
+      return selectedKeys[String(gridImage.imageId)];
+    }).map(function(gridImage) {
+      return gridImage.imageId;
+    }));
+  }
+
+  /**
+   * Changes the selection. If the selection is controlled by the
+   * `selectedIds` prop, we only report the change, and wait for new
+   * `selectedIds`.
+   *
+   * @param {array} selectedIds - The imageIds of the images to select.
+   */
+  _setSelection(selectedIds) {
+    if (!this.props.selectedIds) {
+      this._applySelection(selectedIds);
+    }
+
+    this.settings.onSelectionChange(selectedIds);
+  }
+
+  /**
+   * Marks the images with the given imageIds as selected, and all others as
+   * not selected.
+   *
+   * @param {array} selectedIds - The imageIds of the selected images.
+   */
+  _applySelection(selectedIds) {
+    this.selectedKeys = {};
+    selectedIds.forEach(function(imageId) {
+      this.selectedKeys[String(imageId)] = true;
+    }.bind(this));
+
+    (this.images || []).forEach(function(image) {
+      image.updateAttributes();
+    });
+  }
+
+  /**
+   * Returns whether the given image is selected.
+   *
+   * @param {ProgressiveImage} image - The image.
+   *
+   * @returns {boolean} True if the image is selected.
+   */
+  _isSelected(image) {
+    return !!this.selectedKeys[String(image.imageId)];
+  }
+
+  /**
+   * Returns the imageIds of the selected images, in the order of the grid.
+   *
+   * @returns {array} The imageIds of the selected images.
+   */
+  getSelectedIds() {
+    return (this.images || []).filter(this._isSelected.bind(this)).map(function(image) {
+      return image.imageId;
+    });
+  }
+
+  /**
+   * Selects every image in the grid.
+   *
+   * @returns {object} The Pig instance.
+   */
+  selectAll() {
+    this._setSelection((this.images || []).map(function(image) {
+      return image.imageId;
+    }));
+    return this;
+  }
+
+  /**
+   * Clears the selection.
+   *
+   * @returns {object} The Pig instance.
+   */
+  clearSelection() {
+    this.selectionAnchor = null;
+    this._setSelection([]);
+    return this;
+  }
+
+  /**
+   * Loads the images of the given image again, if they failed to load. Without
+   * an imageId, every image that failed to load is retried.
+   *
+   * @param {string} [imageId] - The imageId of the image to retry.
+   *
+   * @returns {object} The Pig instance.
+   */
+  retryImage(imageId) {
+    (this.images || []).forEach(function(image) {
+      if (imageId === undefined || String(image.imageId) === String(imageId)) {
+        image.retry();
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Start listening to scroll and resize events, and display the images in
+   * the grid.
+   *
+   * @returns {object} The Pig instance.
+   */
+  enable() {
+    // A ref to an ancestor of the grid is only attached after we mount, so
+    // wait for it if needed.
+    this.scrollElement = this._getScrollElement();
+    if (!this.scrollElement) {
+      this.enableRAF = window.requestAnimationFrame(this.enable.bind(this));
+      return this;
+    }
+
+    // The sentinels are observed from the element that scrolls, which is the
+    // viewport (null) for the window.
+    if (this.settings.useIntersectionObserver && window.IntersectionObserver &&
+      !this.settings.stickyGroupHeaders) {
+      this.intersectionObserver = new window.IntersectionObserver(this.onScroll, {
+        root: this.scrollElement === window ? null : this.scrollElement,
+      });
+      this.sentinels.forEach(function(sentinel) {
+        this.intersectionObserver.observe(sentinel);
+      }.bind(this));
+    } else {
+      this.scrollElement.addEventListener('scroll', this.onScroll);
+    }
+
+    this.resizeManager.reEnable();
+    if (this.resizeObserver) {
+      this.resizeObserver.observe(this.container);
+    }
+
+    this.onScroll();
+    this._relayout();
+
+    // Scroll to the image we were asked to scroll to before the grid was
+    // laid out.
+    if (this.pendingScrollToImage) {
+      var pendingScroll = this.pendingScrollToImage;
+      this.pendingScrollToImage = null;
+      this.scrollToImage(pendingScroll.imageId, pendingScroll.options);
+    }
+    return this;
+  }
+
+  /**
+   * Remove all scroll and resize listeners, and cancel a pending layout.
    *
    * @returns {object} The Pig instance.
    */
   disable() {
-    window.removeEventListener('scroll', this.onScroll);
-    this.optimizedResize().disable();
+    window.cancelAnimationFrame(this.enableRAF);
+    if (this.scrollElement) {
+      this.scrollElement.removeEventListener('scroll', this.onScroll);
+    }
+    if (this.intersectionObserver) {
+      this.intersectionObserver.disconnect();
+      this.intersectionObserver = null;
+    }
+    this.resizeManager.disable();
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+    if (this.inRAF) {
+      window.cancelAnimationFrame(this.scrollRAF);
+      this.inRAF = false;
+    }
     return this;
   }
 
@@ -574,92 +2526,102 @@ export default class Pig extends React.Component {
    * DOM every time we scroll (adding or remove images, etc.), we only need to
    * compute the layout of the PIG on load and on resize. Therefore, this
    * function will compute the entire grid layout but will not manipulate the
-   * DOM at all.
+   * DOM at all. The layout itself is computed by `computeLayout`, which knows
+   * nothing of the DOM, and is exported for use outside of the component.
    *
    * All DOM manipulation occurs in `_doLayout`.
+   *
+   * When images were appended to the grid, `fromIndex` gives the index of the
+   * first new image. Only the row that image would join (the last row, which
+   * may be incomplete) and the rows after it are computed again.
+   *
+   * @param {Number} [fromIndex] - The index of the first image whose layout
+   *                               needs to be computed.
    */
-  _computeLayout() {
+  _computeLayout(fromIndex) {
     // Constants
-    var wrapperWidth = parseInt(this.container.clientWidth, 10);
-
-    // State
-    var row = [];           // The list of images in the current row.
-    var translateX = 0;     // The current translateX value that we are at
-    var translateY = 0;     // The current translateY value that we are at
-    var rowAspectRatio = 0; // The aspect ratio of the row we are building
-
-    // Compute the minimum aspect ratio that should be applied to the rows.
-    this._recomputeMinAspectRatio();
-
-    // If we are not currently transitioning, and our minAspectRatio has just
-    // changed, then we mark isTransitioning true. If this is the case, then
-    // `this._getTransitionString()` will ensure that each image has a value
-    // like "0.5s ease all". This will cause images to animate as they change
-    // position. (They need to change position because the minAspectRatio has
-    // changed.) Once we determine that the transtion is probably over (using
-    // `this._getTransitionTimeout`) we unset `this.isTransitioning`, so that
-    // future calls to `_computeLayout` will set "transition: none".
-    if (!this.isTransitioning && this.minAspectRatioRequiresTransition) {
-      this.isTransitioning = true;
-      setTimeout(function() {
-        this.isTransitioning = false;
-      }, this._getTransitionTimeout());
+    var wrapperWidth = this.container ?
+      parseInt(this.container.clientWidth, 10) :
+      this.settings.ssrWidth;
+    this.lastContainerWidth = wrapperWidth;
+
+    var layout = computeLayout(this.images, wrapperWidth, Object.assign({}, this.settings, {
+      breakpointWidth: this.lastWindowWidth,
+      previousLayout: this.layout,
+      fromIndex: fromIndex,
+    }));
+
+    // If the minimum aspect ratio or the number of columns has just changed,
+    // the images need to change position, so we let them animate to their
+    // new place.
+    if (this.layout && (this.layout.minAspectRatio !== layout.minAspectRatio ||
+      this.layout.columnCount !== layout.columnCount)) {
+      this._startTransition();
     }
+    this.layout = layout;
 
     // Get the valid-CSS transition string.
     var transition = this._getTransitionString();
 
-    // Loop through all our images, building them up into rows and computing
-    // the working rowAspectRatio.
-    [].forEach.call(this.images, function(image, index) {
-      rowAspectRatio += parseFloat(image.aspectRatio);
-      row.push(image);
-
-      // When the rowAspectRatio exceeeds the minimum acceptable aspect ratio,
-      // or when we're out of images, we say that we have all the images we
-      // need for this row, and compute the style values for each of these
-      // images.
-      if (rowAspectRatio >= this.minAspectRatio || index + 1 === this.images.length) {
-
-        // Compute this row's height.
-        var totalDesiredWidthOfImages = wrapperWidth - this.settings.spaceBetweenImages * (row.length - 1);
-        var rowHeight = totalDesiredWidthOfImages / rowAspectRatio;
-
-        // For each image in the row, compute the width, height, translateX,
-        // and translateY values, and set them (and the transition value we
-        // found above) on each image.
-        //
-        // NOTE: This does not manipulate the DOM, rather it just sets the
-        //       style values on the ProgressiveImage instance. The DOM nodes
-        //       will be updated in _doLayout.
-        row.forEach(function(img) {
-
-          var imageWidth = rowHeight * img.aspectRatio;
-
-          // This is NOT DOM manipulation.
-          img.style = {
-            width: parseInt(imageWidth, 10),
-            height: parseInt(rowHeight, 10),
-            translateX: translateX,
-            translateY: translateY,
-            transition: transition,
-          };
-
-          // The next image is this.settings.spaceBetweenImages pixels to the
-          // right of this image.
-          translateX += imageWidth + this.settings.spaceBetweenImages;
-
-        }.bind(this));
-
-        // Reset our state variables for next row.
-        row = [];
-        rowAspectRatio = 0;
-        translateY += parseInt(rowHeight, 10) + this.settings.spaceBetweenImages;
-        translateX = 0;
+    // Set the box computed for each image (and the transition value we found
+    // above) on each image whose layout was computed again.
+    //
+    // NOTE: This does not manipulate the DOM, rather it just sets the style
+    //       values on the ProgressiveImage instance. The DOM nodes will be
+    //       updated in _doLayout.
+    this.images.slice(layout.startIndex).forEach(function(image, i) {
+      image.style = Object.assign({}, layout.boxes[layout.startIndex + i], { transition: transition });
+    });
+
+    this.headers = layout.headers.map(function(headerLayout) {
+      var header = this._getGroupHeader(headerLayout.groupKey);
+      if (headerLayout.index >= layout.startIndex || !header.style) {
+        header.ariaRowIndex = headerLayout.ariaRowIndex;
+        header.style = {
+          width: headerLayout.width,
+          height: headerLayout.height,
+          translateX: headerLayout.translateX,
+          translateY: headerLayout.translateY,
+          transition: transition,
+        };
       }
+      return header;
     }.bind(this));
 
-    // No space below the last image
-    this.totalHeight = translateY - this.settings.spaceBetweenImages;
+    // The index of the first image, the translateY value, and the top and
+    // bottom of every row. The translateY value of a row that starts a group
+    // is that of its header.
+    this.rows = layout.rows;
+    this.totalHeight = layout.totalHeight;
+
+    // The number of rows (including the header rows of groups) for assistive
+    // technology.
+    this.rowCount = layout.ariaRowCount;
+    this.layoutChanged = true;
+
+    this._removeUnusedGroupHeaders();
+    this._reportLayout();
+  }
+
+  /**
+   * Calls `settings.onLayout` with the layout that was just computed. The
+   * layout computed to render on the server is not reported.
+   */
+  _reportLayout() {
+    if (this.container) {
+      this.settings.onLayout({ totalHeight: this.totalHeight, rowCount: this.rows.length });
+    }
+  }
+
+  /**
+   * Hides and forgets the headers of groups that are no longer in the grid.
+   */
+  _removeUnusedGroupHeaders() {
+    Object.keys(this.groupHeaders).forEach(function(groupKey) {
+      if (this.headers.indexOf(this.groupHeaders[groupKey]) === -1) {
+        this.groupHeaders[groupKey].hide();
+        delete this.groupHeaders[groupKey];
+      }
+    }.bind(this));
   }
 }
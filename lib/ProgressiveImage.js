@@ -1,13 +1,24 @@
+import { escapeHtml, writeStyle } from './html';
+import { decodeBlurhash } from './blurhash';
+import { getInlineStyles } from './styles';
+
 /**
  * This class manages a single image. It keeps track of the image's height,
  * width, and position in the grid. An instance of this class is associated
  * with a single image figure, which looks like this:
  *
- *   <figure class="pig-figure" style="transform: ...">
- *     <img class="pig-thumbnail pig-loaded" src="/path/to/thumbnail/image.jpg" />
- *     <img class="pig-loaded" src="/path/to/500px/image.jpg" />
+ *   <figure class="pig-figure" role="gridcell" aria-label="..." style="transform: ...">
+ *     <figcaption class="pig-caption">...</figcaption>
+ *     <img class="pig-thumbnail pig-loaded" alt="" src="/path/to/thumbnail/image.jpg" />
+ *     <img class="pig-loaded" alt="..." src="/path/to/500px/image.jpg" />
  *   </figure>
  *
+ * If `settings.formats` is given, the full image is wrapped in a <picture>
+ * element, with a <source> for each format before it. If the image data has
+ * the 'video' type, the full image is a muted, looping <video> instead, whose
+ * poster is the image at the same size. It only plays while it is in the
+ * viewport.
+ *
  * However, this element may or may not actually exist in the DOM. The actual
  * DOM element may loaded and unloaded depending on where it is with respect
  * to the viewport. This class is responsible for managing the DOM elements,
@@ -22,21 +33,39 @@
  * first a blurred version of the image, and then it appears to come into
  * focus.
  *
+ * If the image data has an `lqip` data URI or a `blurhash` string, the
+ * thumbnail is created from it right away, without a request. If it has a
+ * `dominantColor`, the figure has that background color, and no thumbnail is
+ * requested either.
+ *
  * @param {array} singleImageData - An array of metadata about each image to
  *                                  include in the grid.
  * @param {string} singleImageData[0].filename - The filename of the image.
  * @param {string} singleImageData[0].aspectRatio - The aspect ratio of the
  *                                                  image.
+ * @param {string} singleImageData[0].alt - The text alternative of the image.
+ * @param {string} singleImageData[0].caption - The caption of the image.
+ * @param {string} singleImageData[0].dominantColor - The CSS color to show
+ *                                                    until the image loads.
+ * @param {string} singleImageData[0].blurhash - The BlurHash of the image.
+ * @param {string} singleImageData[0].lqip - A data URI of a low quality
+ *                                           version of the image.
+ * @param {string} singleImageData[0].type - 'image' (the default) or 'video'.
  */
 export const ProgressiveImage = function(singleImageData, index, pig) {
   // Global State
   this.existsOnPage = false; // True if the element exists on the page.
+  this.dragPosition = null; // The translateX and translateY values while it is dragged.
 
   // Instance information
+  this.imageData = singleImageData;  // The metadata this image was created from
   this.aspectRatio = singleImageData.aspectRatio;  // Aspect Ratio
   this.filename = singleImageData.filename;  // Filename
   this.imageId = singleImageData.imageId || Math.floor(Math.random() * 1000000);  // imageId
   this.index = index;  // The index in the list of images
+  this.groupKey = null;  // The key of the group this image belongs to
+  this.errors = {};  // The kinds of image ('thumbnail', 'full') that failed to load
+  this.retryTimeouts = {};  // The pending retries, by kind of image
 
   // The Pig instance
   this.pig = pig;
@@ -45,67 +74,384 @@ export const ProgressiveImage = function(singleImageData, index, pig) {
     figure: pig.settings.classPrefix + '-figure',
     thumbnail: pig.settings.classPrefix + '-thumbnail',
     loaded: pig.settings.classPrefix + '-loaded',
+    selected: pig.settings.classPrefix + '-selected',
+    caption: pig.settings.classPrefix + '-caption',
+    error: pig.settings.classPrefix + '-error',
+    overlay: pig.settings.classPrefix + '-overlay',
+    entering: pig.settings.classPrefix + '-entering',
+    leaving: pig.settings.classPrefix + '-leaving',
   };
 
   /**
    * Load the image element associated with this ProgressiveImage into the DOM.
    *
-   * This function will append the figure into the DOM, create and insert the
-   * thumbnail, and create and insert the full image.
+   * This function will append the figure into the DOM, and queue the
+   * thumbnail and the full image in the image loader of the Pig instance,
+   * which inserts them when their download can start.
+   *
+   * @param {object} [priority] - The band ('visible', 'primary' or
+   *                              'secondary') of the image, and its distance
+   *                              from the center of the viewport.
    */
-  this.load = function() {
+  this.load = function(priority) {
+    // An image that was fading out is back in the grid.
+    if (this.element && this.element.classList.contains(this.classNames.leaving)) {
+      this._stopFading();
+    }
+
+    this._updateStyles();
+    this.updateAttributes();
+
     // Create a new image element, and insert it into the DOM. It doesn't
     // matter the order of the figure elements, because all positioning
-    // is done using transforms.
-    this.existsOnPage = true;
-    this._updateStyles();
-    this.pig.container.appendChild(this.getElement());
+    // is done using transforms. If the element is already on the page, we
+    // keep it where it is, so that it can transition to its new place.
+    if (!this.existsOnPage) {
+      this.existsOnPage = true;
+      this.pig.container.appendChild(this.getElement());
+    }
+
+    this.priority = priority || { band: 'visible', distance: 0 };
+
+    // An inline placeholder is shown right away. Only without one do we
+    // request a thumbnail, unless it has already failed to load.
+    if (!this.thumbnail) {
+      var placeholderUrl = this._getPlaceholderUrl();
+      if (placeholderUrl) {
+        this.thumbnail = new Image();
+        this.thumbnail.src = placeholderUrl;
+        this.thumbnail.className = this.classNames.thumbnail + ' ' + this.classNames.loaded;
+        this.pig._applyInlineStyle(this.thumbnail, 'image');
+        this.pig._applyInlineStyle(this.thumbnail, 'thumbnail');
+        this.thumbnail.alt = '';
+        this.thumbnail.setAttribute('aria-hidden', 'true');
+        this.getElement().insertBefore(this.thumbnail, this.fullImage ? (this.picture || this.fullImage) : null);
+      } else if (!this.imageData.dominantColor && !this.errors.thumbnail) {
+        this.pig.imageLoader.enqueue(this, 'thumbnail', this.priority);
+      }
+    }
+
+    // A full image that failed to load is not loaded again, unless there is
+    // a fallback image.
+    if (!this.fullImage && (!this.errors.full || this.pig.settings.fallbackUrl)) {
+      this.pig.imageLoader.enqueue(this, 'full', this.priority);
+    }
+
+    this.setPlaying(this.priority.band === 'visible');
+  };
+
+  /**
+   * Updates the priority of the image, when it is already on the page and its
+   * layout hasn't changed: its queued downloads are reordered, and its video
+   * plays or pauses, without touching the DOM.
+   *
+   * @param {object} priority - The band ('visible', 'primary' or
+   *                            'secondary') of the image, and its distance
+   *                            from the center of the viewport.
+   */
+  this.setPriority = function(priority) {
+    this.priority = priority;
+    this.pig.imageLoader.prioritize(this, priority);
+    this.setPlaying(priority.band === 'visible');
+  };
+
+  /**
+   * Plays or pauses the video of a video tile. Images are not affected.
+   *
+   * @param {boolean} isPlaying - Whether the video should play.
+   */
+  this.setPlaying = function(isPlaying) {
+    var video = this.fullImage;
+    if (!video || video.tagName !== 'VIDEO' || isPlaying === !video.paused) {
+      return;
+    }
+
+    if (isPlaying) {
+      // Browsers may refuse to play, e.g. to save data. The poster is shown
+      // instead.
+      var playing = video.play();
+      if (playing && playing.catch) {
+        playing.catch(function() {});
+      }
+    } else {
+      video.pause();
+    }
+  };
+
+  /**
+   * Called by the image loader when the download of the thumbnail or the full
+   * image can start. The image is created and inserted into the figure, or,
+   * when it is being retried, its download starts again.
+   *
+   * @param {string} kind - 'thumbnail' or 'full'.
+   */
+  this._loadImage = function(kind) {
+    var retryingImage = kind === 'thumbnail' ? this.thumbnail : this.fullImage;
+    if (retryingImage) {
+      retryingImage.setAttribute('src', retryingImage.getAttribute('src'));
+      return;
+    }
+
+    // Show thumbnail
+    if (kind === 'thumbnail') {
+      this.thumbnail = new Image();
+      this.thumbnail.src = this.pig.settings.urlForSize(this.filename, this.pig.settings.thumbnailSize);
+      this.thumbnail.className = this.classNames.thumbnail;
+      this.pig._applyInlineStyle(this.thumbnail, 'image');
+      this.pig._applyInlineStyle(this.thumbnail, 'thumbnail');
+      this.thumbnail.alt = '';
+      this.thumbnail.setAttribute('aria-hidden', 'true');
+      this._handleLoad(this.thumbnail, 'thumbnail');
+
+      this.getElement().appendChild(this.thumbnail);
+      return;
+    }
+
+    // Show full image
+    if (this.errors.full) {
+      this.fullImage = new Image();
+      this.fullImage.src = this.pig.settings.fallbackUrl;
+      this.fullImage.alt = this.imageData.alt || '';
+      this.pig._applyInlineStyle(this.fullImage, 'image');
+      this._handleLoad(this.fullImage, 'full');
+      this.getElement().appendChild(this.fullImage);
+      return;
+    }
+
+    var size = this._getImageSize();
+
+    if (this.imageData.type === 'video') {
+      this.fullImage = document.createElement('video');
+      this.pig._applyInlineStyle(this.fullImage, 'image');
+      this.pig._applyInlineStyle(this.fullImage, 'video');
+      this.fullImage.muted = true;
+      this.fullImage.loop = true;
+      this.fullImage.playsInline = true;
+      this.fullImage.setAttribute('muted', '');
+      this.fullImage.setAttribute('playsinline', '');
+      this.fullImage.setAttribute('aria-hidden', 'true');
+      this.fullImage.preload = 'auto';
+      this.fullImage.poster = this.pig.settings.urlForSize(this.filename, size);
+      this.fullImage.src = this.pig.settings.urlForVideo(this.filename, size);
+      this._handleLoad(this.fullImage, 'full');
+      this.getElement().appendChild(this.fullImage);
+      this.setPlaying(this.priority.band === 'visible');
+      return;
+    }
+
+    this.fullImage = new Image();
+    if (this.pig.settings.imageSizes) {
+      this.fullImage.sizes = this.style.width + 'px';
+      this.fullImage.srcset = this._getSrcset();
+    }
+    this.fullImage.src = this.pig.settings.urlForSize(this.filename, size);
+    this.fullImage.alt = this.imageData.alt || '';
+    this.pig._applyInlineStyle(this.fullImage, 'image');
+    this._handleLoad(this.fullImage, 'full');
+
+    if (this.pig.settings.formats) {
+      this.picture = document.createElement('picture');
+      this.pig.settings.formats.forEach(function(format) {
+        var source = document.createElement('source');
+        source.type = 'image/' + format;
+        source.sizes = this.style.width + 'px';
+        source.srcset = this.pig.settings.imageSizes ?
+          this._getSrcset(format) :
+          this.pig.settings.urlForSize(this.filename, size, format);
+        this.picture.appendChild(source);
+      }.bind(this));
+      this.picture.appendChild(this.fullImage);
+      this.getElement().appendChild(this.picture);
+    } else {
+      this.getElement().appendChild(this.fullImage);
+    }
+  };
+
+  /**
+   * Sets the load and error handlers of the thumbnail or the full image.
+   *
+   * Once the image has loaded, it is given the `pig-loaded` class, and the
+   * image loader can start the next download. If it fails to load, it is
+   * queued again `settings.maxRetries` times, after a delay that doubles
+   * each time. After that, the error is reported to `settings.onImageError`,
+   * the figure gets the `pig-error` class, and a full image is replaced by
+   * `settings.fallbackUrl`, if it is given.
+   *
+   * @param {HTMLElement} image - The thumbnail or the full image, which can
+   *                              be a video.
+   * @param {string} kind - 'thumbnail' or 'full'.
+   */
+  this._handleLoad = function(image, kind) {
+    var retries = 0;
 
-    // We run the rest of the function in a 100ms setTimeout so that if the
-    // user is scrolling down the page very fast and hide() is called within
-    // 100ms of load(), the hide() function will set this.existsOnPage to false
-    // and we can exit.
-    setTimeout(function() {
+    // We have to make sure the image is still on the page, we may have already
+    // been deallocated if the user scrolls too fast.
+    var isCurrent = function() {
+      return image === (kind === 'thumbnail' ? this.thumbnail : this.fullImage);
+    }.bind(this);
 
-      // The image was hidden very quickly after being loaded, so don't bother
-      // loading it at all.
-      if (!this.existsOnPage) {
+    var loadEvent = image.tagName === 'VIDEO' ? 'onloadeddata' : 'onload';
+    image[loadEvent] = function() {
+      if (!isCurrent()) {
         return;
       }
 
-      // Show thumbnail
-      if (!this.thumbnail) {
-        this.thumbnail = new Image();
-        this.thumbnail.src = this.pig.settings.urlForSize(this.filename, this.pig.settings.thumbnailSize);
-        this.thumbnail.className = this.classNames.thumbnail;
-        this.thumbnail.onload = function() {
-
-          // We have to make sure thumbnail still exists, we may have already been
-          // deallocated if the user scrolls too fast.
-          if (this.thumbnail) {
-            this.thumbnail.className += ' ' + this.classNames.loaded;
-          }
-        }.bind(this);
+      this.pig.imageLoader.release(this, kind);
+      image.className += ' ' + this.classNames.loaded;
+      if (!this.errors[kind]) {
+        this.pig.settings.onImageLoad(this.imageData, kind);
+      }
+    }.bind(this);
 
-        this.getElement().appendChild(this.thumbnail);
+    image.onerror = function() {
+      if (!isCurrent()) {
+        return;
       }
 
-      // Show full image
-      if (!this.fullImage) {
-        this.fullImage = new Image();
-        this.fullImage.src = this.pig.settings.urlForSize(this.filename, this.pig.settings.getImageSize(this.pig.lastWindowWidth));
-        this.fullImage.onload = function() {
+      this.pig.imageLoader.release(this, kind);
 
-          // We have to make sure fullImage still exists, we may have already been
-          // deallocated if the user scrolls too fast.
-          if (this.fullImage) {
-            this.fullImage.className += ' ' + this.classNames.loaded;
+      // The fallback image failed to load as well, so there is nothing left
+      // to try.
+      if (this.errors[kind]) {
+        return;
+      }
+
+      if (retries < this.pig.settings.maxRetries) {
+        this.retryTimeouts[kind] = setTimeout(function() {
+          if (isCurrent()) {
+            this.pig.imageLoader.enqueue(this, kind, this.priority);
           }
-        }.bind(this);
+        }.bind(this), this.pig.settings.retryDelay * Math.pow(2, retries));
+        retries++;
+        return;
+      }
+
+      this.errors[kind] = true;
+
+      if (kind === 'full') {
+        this.getElement().classList.add(this.classNames.error);
+
+        // Since `this.errors.full` is set, the full image is created again
+        // with the fallback URL.
+        if (this.pig.settings.fallbackUrl) {
+          this._removeFullImage();
+          this._loadImage('full');
+        }
+      }
+
+      this.pig.settings.onImageError(this.imageData, kind);
+    }.bind(this);
+  };
+
+  /**
+   * Forgets that the images failed to load, and loads them again if the
+   * figure is on the page.
+   */
+  this.retry = function() {
+    if (!this.errors.thumbnail && !this.errors.full) {
+      return;
+    }
+
+    this.errors = {};
+    if (this.element) {
+      this.element.classList.remove(this.classNames.error);
+    }
+
+    if (this.existsOnPage) {
+      this._removeImages();
+      this.load();
+    }
+  };
+
+  /**
+   * Returns the URL of the inline placeholder of the image: its `lqip` data
+   * URI, or its `blurhash` drawn at the height of `settings.thumbnailSize`.
+   * The BlurHash is only decoded once.
+   *
+   * @returns {string} The URL, or null if the image has no placeholder, or
+   *                   its BlurHash can't be drawn.
+   */
+  this._getPlaceholderUrl = function() {
+    if (this.placeholderUrl === undefined) {
+      this.placeholderUrl = this.imageData.lqip || this._drawBlurhash() || null;
+    }
+
+    return this.placeholderUrl;
+  };
+
+  /**
+   * Draws the BlurHash of the image on a canvas.
+   *
+   * @returns {string} A data URI of the drawing, or null if the image has no
+   *                   valid BlurHash or canvases are not supported.
+   */
+  this._drawBlurhash = function() {
+    if (!this.imageData.blurhash) {
+      return null;
+    }
+
+    var height = this.pig.settings.thumbnailSize;
+    var width = Math.max(Math.round(height * this.aspectRatio), 1);
+    var canvas = document.createElement('canvas');
+    var context = canvas.getContext && canvas.getContext('2d');
+    if (!context) {
+      return null;
+    }
+
+    var pixels;
+    try {
+      pixels = decodeBlurhash(this.imageData.blurhash, width, height);
+    } catch (error) {
+      return null;
+    }
+
+    canvas.width = width;
+    canvas.height = height;
+    var imageData = context.createImageData(width, height);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+
+    return canvas.toDataURL();
+  };
 
-        this.getElement().appendChild(this.fullImage);
+  /**
+   * Returns the size (height in pixels) of the full image to load. If
+   * `settings.imageSizes` is given, this is the smallest of them that is at
+   * least the height of the tile in device pixels, or the largest of them if
+   * none is. Otherwise, it is given by `settings.getImageSize`.
+   *
+   * @returns {Number} The size of the full image.
+   */
+  this._getImageSize = function() {
+    var imageSizes = this.pig.settings.imageSizes;
+    if (!imageSizes || !imageSizes.length) {
+      return this.pig.settings.getImageSize(this.pig.lastWindowWidth);
+    }
+
+    var height = this.style.height * (window.devicePixelRatio || 1);
+    for (var i = 0; i < imageSizes.length; i++) {
+      if (imageSizes[i] >= height) {
+        return imageSizes[i];
       }
-    }.bind(this), 100);
+    }
+
+    return imageSizes[imageSizes.length - 1];
+  };
+
+  /**
+   * Returns the `srcset` attribute that lists the image at each of
+   * `settings.imageSizes`, with the width of the image at that size.
+   *
+   * @param {string} [format] - The format of the image, or undefined for its
+   *                            original format.
+   *
+   * @returns {string} The srcset attribute.
+   */
+  this._getSrcset = function(format) {
+    return this.pig.settings.imageSizes.map(function(size) {
+      return this.pig.settings.urlForSize(this.filename, size, format) + ' ' +
+        Math.round(size * this.aspectRatio) + 'w';
+    }.bind(this)).join(', ');
   };
 
   /**
@@ -114,21 +460,11 @@ export const ProgressiveImage = function(singleImageData, index, pig) {
    * ProgressiveImage object.
    */
   this.hide = function() {
+    this._stopFading();
+
     // Remove the images from the element, so that if a user is scrolling super
     // fast, we won't try to load every image we scroll past.
-    if (this.getElement()) {
-      if (this.thumbnail) {
-        this.thumbnail.src = '';
-        this.getElement().removeChild(this.thumbnail);
-        delete this.thumbnail;
-      }
-
-      if (this.fullImage) {
-        this.fullImage.src = '';
-        this.getElement().removeChild(this.fullImage);
-        delete this.fullImage;
-      }
-    }
+    this._removeImages();
 
     // Remove the image from the DOM.
     if (this.existsOnPage) {
@@ -139,6 +475,105 @@ export const ProgressiveImage = function(singleImageData, index, pig) {
 
   };
 
+  /**
+   * Fades the element in, when the image has been added to the grid by a
+   * filter.
+   */
+  this.fadeIn = function() {
+    this._stopFading();
+    this.getElement().classList.add(this.classNames.entering);
+    this.fadeTimeout = setTimeout(this._stopFading.bind(this), this.pig.settings.transitionSpeed);
+  };
+
+  /**
+   * Fades the element out where it is, and removes it from the DOM once it
+   * has faded, when the image has been filtered out of the grid. Loading the
+   * image again before then cancels the fade.
+   */
+  this.fadeOut = function() {
+    if (!this.existsOnPage) {
+      return;
+    }
+
+    this._stopFading();
+    this.getElement().style.transition = (this.pig.settings.transitionSpeed / 1000) + 's opacity ' +
+      this.pig.settings.style.easing;
+    this.getElement().classList.add(this.classNames.leaving);
+    this.fadeTimeout = setTimeout(this.hide.bind(this), this.pig.settings.transitionSpeed);
+  };
+
+  /**
+   * Stops fading the element in or out.
+   */
+  this._stopFading = function() {
+    clearTimeout(this.fadeTimeout);
+    if (this.element) {
+      this.element.classList.remove(this.classNames.entering);
+      this.element.classList.remove(this.classNames.leaving);
+    }
+  };
+
+  /**
+   * Removes the thumbnail and full image from the element, and stops loading
+   * them. Clearing their `src` aborts downloads that have started.
+   */
+  this._removeImages = function() {
+    this.pig.imageLoader.cancel(this);
+    clearTimeout(this.retryTimeouts.thumbnail);
+    clearTimeout(this.retryTimeouts.full);
+    this.retryTimeouts = {};
+
+    if (this.thumbnail) {
+      this.thumbnail.src = '';
+      this.getElement().removeChild(this.thumbnail);
+      delete this.thumbnail;
+    }
+
+    this._removeFullImage();
+  };
+
+  /**
+   * Removes the full image from the element, and stops loading it. A video
+   * is paused and emptied, so that the browser releases its media resources.
+   */
+  this._removeFullImage = function() {
+    if (!this.fullImage) {
+      return;
+    }
+
+    if (this.fullImage.tagName === 'VIDEO') {
+      this.fullImage.pause();
+      this.fullImage.removeAttribute('src');
+      this.fullImage.removeAttribute('poster');
+      this.fullImage.load();
+    } else {
+      this.fullImage.srcset = '';
+      this.fullImage.src = '';
+    }
+
+    this.getElement().removeChild(this.picture || this.fullImage);
+    delete this.fullImage;
+    delete this.picture;
+  };
+
+  /**
+   * Updates this ProgressiveImage with new metadata when the grid's image data
+   * changes. The element and any loaded images are kept.
+   *
+   * @param {object} singleImageData - The new metadata of the image.
+   * @param {Number} index - The new index in the list of images.
+   */
+  this.update = function(singleImageData, index) {
+    if (singleImageData.lqip !== this.imageData.lqip ||
+      singleImageData.blurhash !== this.imageData.blurhash) {
+      delete this.placeholderUrl;
+    }
+
+    this.imageData = singleImageData;
+    this.aspectRatio = singleImageData.aspectRatio;
+    this.index = index;
+  };
+
   /**
    * Get the DOM element associated with this ProgressiveImage. We default to
    * using this.element, and we create it if it doesn't exist.
@@ -149,29 +584,187 @@ export const ProgressiveImage = function(singleImageData, index, pig) {
     if (!this.element) {
       this.element = document.createElement(this.pig.settings.figureTagName);
       this.element.className = this.classNames.figure;
-      /**
-       * The id will be appended to the figureName. Useful if you want to
-       * have control what should happen when you click on the figureName.
-       * This can be overridden in options
-       */
-      this.element.setAttribute('id', this.imageId)
-      this.element.onclick = this.pig.settings.onClick.bind(this, this.element);
-      this._updateStyles();
+      this.pig._applyInlineStyle(this.element, 'figure');
+      this._setupElement();
     }
 
     return this.element;
   };
 
   /**
-   * Updates the style attribute to reflect this style property on this object.
+   * Get the element on top of the image into which the `renderOverlay` prop
+   * of the Pig instance is rendered, creating it if it doesn't exist.
+   *
+   * @returns {HTMLElement} The overlay element.
+   */
+  this.getOverlayElement = function() {
+    if (!this.overlayElement) {
+      this.overlayElement = document.createElement('div');
+      this.overlayElement.className = this.classNames.overlay;
+      this.pig._applyInlineStyle(this.overlayElement, 'overlay');
+      this.getElement().appendChild(this.overlayElement);
+    }
+
+    return this.overlayElement;
+  };
+
+  /**
+   * Take over an element that was rendered on the server by `getMarkup`,
+   * keeping its thumbnail, instead of creating a new element.
+   *
+   * @param {HTMLElement} element - The server rendered element.
+   */
+  this.adoptElement = function(element) {
+    this.element = element;
+    this.existsOnPage = true;
+    this.thumbnail = element.querySelector('.' + this.classNames.thumbnail) || undefined;
+    this.caption = element.querySelector('.' + this.classNames.caption) || undefined;
+    this._setupElement();
+  };
+
+  /**
+   * Sets the attributes and event handlers of a newly created or adopted
+   * element.
+   */
+  this._setupElement = function() {
+    /**
+     * The id will be appended to the figureName. Useful if you want to
+     * have control what should happen when you click on the figureName.
+     * This can be overridden in options
+     */
+    this.element.setAttribute('id', this.imageId)
+    this.element.setAttribute('role', 'gridcell');
+    this.element.onclick = function(event) {
+      this.pig._onImageClick(this, event);
+    }.bind(this);
+    this.element.onfocus = function() {
+      this.pig._onImageFocus(this);
+    }.bind(this);
+    this.element.onkeydown = function(event) {
+      this.pig._onImageKeyDown(this, event);
+    }.bind(this);
+    this._updateStyles();
+  };
+
+  /**
+   * Get the HTML markup of this image's element, with its thumbnail, for
+   * rendering on the server. Since the boilerplate CSS is only injected on the
+   * client, the markup carries the styles it needs to be positioned. The rest
+   * of the look of the tile is left to the stylesheet, like on the client.
+   *
+   * @returns {string} The HTML markup of the element.
+   */
+  this.getMarkup = function() {
+    var tagName = this.pig.settings.figureTagName;
+    var inlineStyles = getInlineStyles(this.pig.settings);
+    var captionTagName = tagName === 'figure' ? 'figcaption' : 'div';
+    var alt = this.imageData.alt;
+
+    // A BlurHash can't be drawn on the server, so only its dominant color is
+    // rendered there.
+    var thumbnailUrl = this.imageData.lqip ||
+      ((this.imageData.blurhash || this.imageData.dominantColor) ?
+        null :
+        this.pig.settings.urlForSize(this.filename, this.pig.settings.thumbnailSize));
+
+    return (
+      '<' + tagName +
+      ' class="' + this.classNames.figure + '"' +
+      ' id="' + escapeHtml(this.imageId) + '"' +
+      ' data-pig-index="' + this.index + '"' +
+      ' role="gridcell"' +
+      (alt ? ' aria-label="' + escapeHtml(alt) + '"' : '') +
+      ' style="' + writeStyle(Object.assign({}, inlineStyles.figure, this.imageData.dominantColor ? {
+        'background-color': this.imageData.dominantColor,
+      } : {}, {
+        'width': this.style.width + 'px',
+        'height': this.style.height + 'px',
+        'transform': 'translate3d(' + this.style.translateX + 'px,' + this.style.translateY + 'px, 0)',
+      })) + '">' +
+      (this.imageData.caption ?
+        '<' + captionTagName + ' class="' + this.classNames.caption + '">' +
+          escapeHtml(this.imageData.caption) +
+        '</' + captionTagName + '>' :
+        '') +
+      (thumbnailUrl ?
+        '<img' +
+        ' class="' + this.classNames.thumbnail + ' ' + this.classNames.loaded + '"' +
+        ' alt="" aria-hidden="true"' +
+        ' src="' + escapeHtml(thumbnailUrl) + '"' +
+        ' style="' + writeStyle(Object.assign({}, inlineStyles.image, inlineStyles.thumbnail)) + '" />' :
+        '') +
+      '</' + tagName + '>'
+    );
+  };
+
+  /**
+   * Updates the attributes of the element to reflect its accessible name and
+   * caption, its position in its row, whether the image is selected, and
+   * whether it is the tile that receives focus when tabbing into the grid. The
+   * element may have been removed from the DOM and loaded again since any of
+   * these changed.
+   */
+  this.updateAttributes = function() {
+    if (!this.element) {
+      return;
+    }
+
+    var isSelected = this.pig._isSelected(this);
+    this.element.classList.toggle(this.classNames.selected, isSelected);
+    if (this.pig.settings.selectable) {
+      this.element.setAttribute('aria-selected', String(isSelected));
+    }
+
+    this.element.tabIndex = (this.index === this.pig.focusedIndex) ? 0 : -1;
+
+    var row = this.pig._getRowOfIndex(this.index);
+    if (row) {
+      this.element.setAttribute('aria-colindex', this.index - row.index + 1);
+    }
+
+    if (this.imageData.alt) {
+      this.element.setAttribute('aria-label', this.imageData.alt);
+    } else {
+      this.element.removeAttribute('aria-label');
+    }
+
+    if (this.imageData.caption) {
+      if (!this.caption) {
+        this.caption = document.createElement(
+          this.pig.settings.figureTagName === 'figure' ? 'figcaption' : 'div');
+        this.caption.className = this.classNames.caption;
+        this.pig._applyInlineStyle(this.caption, 'caption');
+        this.element.insertBefore(this.caption, this.element.firstChild);
+      }
+      this.caption.textContent = this.imageData.caption;
+    } else if (this.caption) {
+      this.element.removeChild(this.caption);
+      delete this.caption;
+    }
+  };
+
+  /**
+   * Updates the style attribute to reflect this style property on this object,
+   * using the drag position while the tile is being dragged.
    */
   this._updateStyles = function() {
-    this.getElement().style.transition = this.style.transition;
+    var position = this.dragPosition || this.style;
+
+    this.getElement().style.transition = this.dragPosition ? 'none' : this.style.transition;
+    this.getElement().style.backgroundColor = this.imageData.dominantColor || '';
     this.getElement().style.width = this.style.width + 'px';
     this.getElement().style.height = this.style.height + 'px';
     this.getElement().style.transform = (
-      'translate3d(' + this.style.translateX + 'px,' +
-        this.style.translateY + 'px, 0)');
+      'translate3d(' + position.translateX + 'px,' +
+        position.translateY + 'px, 0)');
+
+    // Let the browser pick the image of the srcset that fits the new size.
+    if (this.fullImage && this.fullImage.sizes) {
+      var sizes = this.style.width + 'px';
+      [].forEach.call(this.picture ? this.picture.children : [this.fullImage], function(element) {
+        element.sizes = sizes;
+      });
+    }
   };
 
   return this;
@@ -0,0 +1,305 @@
+/**
+ * This class manages the full screen viewer of a Pig instance. When it is
+ * opened on an image, the image zooms from its tile in the grid to fill the
+ * screen, and the user can navigate to the neighbouring images with the arrow
+ * keys, by swiping, or with the previous and next buttons. The viewer looks
+ * like this:
+ *
+ *   <div class="pig-viewer pig-viewer-open" role="dialog" aria-modal="true">
+ *     <div class="pig-viewer-backdrop"></div>
+ *     <img class="pig-viewer-image" src="/path/to/1000px/image.jpg" />
+ *     <button class="pig-viewer-close" aria-label="Close">×</button>
+ *     <button class="pig-viewer-previous" aria-label="Previous image">‹</button>
+ *     <button class="pig-viewer-next" aria-label="Next image">›</button>
+ *   </div>
+ *
+ * The element only exists in the DOM while the viewer is open.
+ *
+ * @param {object} pig - The Pig instance.
+ */
+export const Viewer = function(pig) {
+  // Global State
+  this.isOpen = false;
+  this.image = null; // The ProgressiveImage that is being viewed.
+
+  // The Pig instance
+  this.pig = pig;
+
+  // The distance in pixels the user has to swipe to navigate.
+  this.swipeThreshold = 50;
+
+  var classPrefix = pig.settings.classPrefix;
+  this.classNames = {
+    viewer: classPrefix + '-viewer',
+    open: classPrefix + '-viewer-open',
+    backdrop: classPrefix + '-viewer-backdrop',
+    image: classPrefix + '-viewer-image',
+    close: classPrefix + '-viewer-close',
+    previous: classPrefix + '-viewer-previous',
+    next: classPrefix + '-viewer-next',
+  };
+
+  /**
+   * Open the viewer on the given image, zooming the image from its tile.
+   *
+   * @param {ProgressiveImage} image - The image to view.
+   */
+  this.open = function(image) {
+    if (this.isOpen) {
+      this.show(image);
+      return;
+    }
+
+    clearTimeout(this.closeTimeout);
+    this.isOpen = true;
+    this.previousFocus = document.activeElement;
+    this.bodyOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    document.body.appendChild(this.getElement());
+    document.addEventListener('keydown', this.onKeyDown);
+
+    this.show(image);
+
+    // Start at the position and size of the tile, then transition to the
+    // full screen position in the next frame.
+    this._setImageRect(this.pig._getImageRect(image), false);
+    this.animationFrame = window.requestAnimationFrame(function() {
+      this.animationFrame = window.requestAnimationFrame(function() {
+        this.getElement().classList.add(this.classNames.open);
+        this._setImageRect(this._getFullScreenRect(), true);
+      }.bind(this));
+    }.bind(this));
+
+    this.closeButton.focus();
+  };
+
+  /**
+   * Close the viewer. The grid is scrolled so that the current image is in
+   * view, and the image zooms back to its tile.
+   */
+  this.close = function() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    var image = this.image;
+    this.isOpen = false;
+    window.cancelAnimationFrame(this.animationFrame);
+    document.removeEventListener('keydown', this.onKeyDown);
+    document.body.style.overflow = this.bodyOverflow;
+
+    this.pig._scrollImageIntoView(image);
+    this.getElement().classList.remove(this.classNames.open);
+    this._setImageRect(this.pig._getImageRect(image), true);
+
+    this.closeTimeout = setTimeout(this._remove.bind(this), this.pig.settings.transitionSpeed);
+
+    if (this.previousFocus && this.pig.container.contains(this.previousFocus)) {
+      this.pig._focusImage(image);
+    } else if (this.previousFocus) {
+      this.previousFocus.focus();
+    }
+  };
+
+  /**
+   * Removes the element of the viewer from the DOM immediately.
+   */
+  this.destroy = function() {
+    window.cancelAnimationFrame(this.animationFrame);
+    clearTimeout(this.closeTimeout);
+    if (this.isOpen) {
+      this.isOpen = false;
+      document.removeEventListener('keydown', this.onKeyDown);
+      document.body.style.overflow = this.bodyOverflow;
+    }
+    this._remove();
+  };
+
+  /**
+   * Show the given image in the viewer. The image of the tile, which has
+   * usually already been loaded, is shown until the larger image has loaded.
+   *
+   * @param {ProgressiveImage} image - The image to show.
+   */
+  this.show = function(image) {
+    var settings = this.pig.settings;
+    var imageSize = settings.getViewerImageSize(this.pig.lastWindowWidth);
+
+    this.image = image;
+    this.getElement().setAttribute('aria-label', image.imageData.alt || '');
+    this.imageElement.alt = image.imageData.alt || '';
+    // The viewer shows the poster of a video tile.
+    this.imageElement.src = (image.fullImage && image.fullImage.tagName === 'IMG') ?
+      (image.fullImage.currentSrc || image.fullImage.src) :
+      settings.urlForSize(image.filename, image._getImageSize());
+
+    var fullImage = new Image();
+    fullImage.onload = function() {
+      if (this.image === image) {
+        this.imageElement.src = fullImage.src;
+      }
+    }.bind(this);
+    fullImage.src = settings.urlForSize(image.filename, imageSize);
+
+    this.previousButton.disabled = image.index === 0;
+    this.nextButton.disabled = image.index === this.pig.images.length - 1;
+
+    if (this.isOpen && this.getElement().classList.contains(this.classNames.open)) {
+      this._setImageRect(this._getFullScreenRect(), false);
+    }
+  };
+
+  /**
+   * Show the image before or after the current image in the grid.
+   *
+   * @param {Number} offset - -1 for the previous image, 1 for the next image.
+   */
+  this.navigate = function(offset) {
+    var image = this.pig.images[this.image.index + offset];
+    if (image) {
+      this.show(image);
+    }
+  };
+
+  /**
+   * Handles the keyboard navigation while the viewer is open.
+   *
+   * @param {Event} event - The keydown event.
+   */
+  this.onKeyDown = function(event) {
+    switch (event.key) {
+      case 'ArrowLeft':
+        this.navigate(-1);
+        break;
+      case 'ArrowRight':
+        this.navigate(1);
+        break;
+      case 'Escape':
+        this.close();
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }.bind(this);
+
+  /**
+   * Get the DOM element of the viewer, creating it if it doesn't exist.
+   *
+   * @returns {HTMLElement} The DOM element of the viewer.
+   */
+  this.getElement = function() {
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.className = this.classNames.viewer;
+      this.pig._applyInlineStyle(this.element, 'viewer');
+      this.element.setAttribute('role', 'dialog');
+      this.element.setAttribute('aria-modal', 'true');
+
+      var backdrop = document.createElement('div');
+      backdrop.className = this.classNames.backdrop;
+      this.pig._applyInlineStyle(backdrop, 'viewerBackdrop');
+      backdrop.onclick = this.close.bind(this);
+      this.element.appendChild(backdrop);
+
+      this.imageElement = new Image();
+      this.imageElement.className = this.classNames.image;
+      this.pig._applyInlineStyle(this.imageElement, 'viewerImage');
+      this.element.appendChild(this.imageElement);
+
+      this.closeButton = this._createButton(this.classNames.close, 'Close', '×', this.close.bind(this));
+      this.pig._applyInlineStyle(this.closeButton, 'viewerClose');
+      this.previousButton = this._createButton(this.classNames.previous, 'Previous image', '‹', this.navigate.bind(this, -1));
+      this.pig._applyInlineStyle(this.previousButton, 'viewerPrevious');
+      this.nextButton = this._createButton(this.classNames.next, 'Next image', '›', this.navigate.bind(this, 1));
+      this.pig._applyInlineStyle(this.nextButton, 'viewerNext');
+
+      this.element.addEventListener('touchstart', function(event) {
+        this.touchStartX = event.changedTouches[0].clientX;
+      }.bind(this));
+      this.element.addEventListener('touchend', function(event) {
+        var distance = event.changedTouches[0].clientX - this.touchStartX;
+        if (Math.abs(distance) >= this.swipeThreshold) {
+          this.navigate(distance < 0 ? 1 : -1);
+        }
+      }.bind(this));
+    }
+
+    return this.element;
+  };
+
+  /**
+   * Creates a button of the viewer and appends it to the viewer element.
+   *
+   * @param {string} className - The class name of the button.
+   * @param {string} label - The accessible name of the button.
+   * @param {string} text - The text of the button.
+   * @param {function} onClick - Called when the button is clicked.
+   *
+   * @returns {HTMLElement} The button.
+   */
+  this._createButton = function(className, label, text, onClick) {
+    var button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    this.pig._applyInlineStyle(button, 'viewerButton');
+    button.setAttribute('aria-label', label);
+    button.textContent = text;
+    button.onclick = onClick;
+    this.element.appendChild(button);
+    return button;
+  };
+
+  /**
+   * Returns the largest rectangle with the aspect ratio of the current image
+   * that fits in the window, centered in the window.
+   *
+   * @returns {object} The left, top, width and height of the rectangle.
+   */
+  this._getFullScreenRect = function() {
+    var padding = 40;
+    var maxWidth = window.innerWidth - padding * 2;
+    var maxHeight = window.innerHeight - padding * 2;
+    var width = Math.min(maxWidth, maxHeight * this.image.aspectRatio);
+    var height = width / this.image.aspectRatio;
+
+    return {
+      left: (window.innerWidth - width) / 2,
+      top: (window.innerHeight - height) / 2,
+      width: width,
+      height: height,
+    };
+  };
+
+  /**
+   * Positions the viewer image at the given rectangle of the window.
+   *
+   * @param {object} rect - The left, top, width and height of the rectangle.
+   * @param {boolean} animate - Whether to transition to the new position.
+   */
+  this._setImageRect = function(rect, animate) {
+    var style = this.imageElement.style;
+    var duration = (this.pig.settings.transitionSpeed / 1000) + 's ';
+    var easing = ' ' + this.pig.settings.style.easing;
+    style.transition = animate ?
+      duration + 'transform' + easing + ', ' +
+        duration + 'width' + easing + ', ' +
+        duration + 'height' + easing :
+      'none';
+    style.width = rect.width + 'px';
+    style.height = rect.height + 'px';
+    style.transform = 'translate3d(' + rect.left + 'px,' + rect.top + 'px, 0)';
+  };
+
+  /**
+   * Removes the element of the viewer from the DOM.
+   */
+  this._remove = function() {
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+  };
+
+  return this;
+}
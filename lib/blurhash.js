@@ -0,0 +1,123 @@
+/**
+ * A decoder for BlurHash strings (https://blurha.sh), which describe a blurred
+ * placeholder of an image in 20 to 30 characters.
+ */
+
+var digitCharacters =
+  '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+/**
+ * Decodes a number written in the base 83 alphabet of BlurHash.
+ *
+ * @param {string} value - The digits of the number.
+ *
+ * @returns {Number} The number.
+ */
+var decode83 = function(value) {
+  var result = 0;
+  for (var i = 0; i < value.length; i++) {
+    var digit = digitCharacters.indexOf(value[i]);
+    if (digit === -1) {
+      throw new Error('Invalid BlurHash character: ' + value[i]);
+    }
+    result = result * 83 + digit;
+  }
+  return result;
+};
+
+/**
+ * Converts a channel of an sRGB color (0 to 255) to linear light (0 to 1).
+ */
+var sRGBToLinear = function(value) {
+  var v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+
+/**
+ * Converts a channel in linear light (0 to 1) to an sRGB channel (0 to 255).
+ */
+var linearToSRGB = function(value) {
+  var v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308 ?
+    Math.trunc(v * 12.92 * 255 + 0.5) :
+    Math.trunc((1.055 * Math.pow(v, 1 / 2.4) - 0.055) * 255 + 0.5);
+};
+
+/**
+ * Raises the absolute value to the exponent, keeping the sign.
+ */
+var signPow = function(value, exponent) {
+  return (value < 0 ? -1 : 1) * Math.pow(Math.abs(value), exponent);
+};
+
+/**
+ * Decodes a BlurHash string into the pixels of an image of the given size.
+ *
+ * @param {string} blurhash - The BlurHash string.
+ * @param {Number} width - The width in pixels of the image to create.
+ * @param {Number} height - The height in pixels of the image to create.
+ * @param {Number} [punch] - How much to boost the contrast. Defaults to 1.
+ *
+ * @returns {Uint8ClampedArray} The RGBA values of the pixels, row by row.
+ */
+export const decodeBlurhash = function(blurhash, width, height, punch) {
+  if (!blurhash || blurhash.length < 6) {
+    throw new Error('The BlurHash string must be at least 6 characters');
+  }
+
+  var sizeFlag = decode83(blurhash[0]);
+  var numY = Math.floor(sizeFlag / 9) + 1;
+  var numX = (sizeFlag % 9) + 1;
+  if (blurhash.length !== 4 + 2 * numX * numY) {
+    throw new Error('The BlurHash string has the wrong length');
+  }
+
+  var maximumValue = (decode83(blurhash[1]) + 1) / 166 * (punch || 1);
+
+  // The average color, followed by the factors of each component.
+  var colors = [];
+  for (var c = 0; c < numX * numY; c++) {
+    if (c === 0) {
+      var dc = decode83(blurhash.substring(2, 6));
+      colors.push([
+        sRGBToLinear(dc >> 16),
+        sRGBToLinear((dc >> 8) & 255),
+        sRGBToLinear(dc & 255),
+      ]);
+    } else {
+      var ac = decode83(blurhash.substring(4 + c * 2, 6 + c * 2));
+      colors.push([
+        signPow((Math.floor(ac / (19 * 19)) - 9) / 9, 2) * maximumValue,
+        signPow((Math.floor(ac / 19) % 19 - 9) / 9, 2) * maximumValue,
+        signPow((ac % 19 - 9) / 9, 2) * maximumValue,
+      ]);
+    }
+  }
+
+  var pixels = new Uint8ClampedArray(width * height * 4);
+  for (var y = 0; y < height; y++) {
+    for (var x = 0; x < width; x++) {
+      var r = 0;
+      var g = 0;
+      var b = 0;
+
+      for (var j = 0; j < numY; j++) {
+        for (var i = 0; i < numX; i++) {
+          var basis = Math.cos(Math.PI * x * i / width) * Math.cos(Math.PI * y * j / height);
+          var color = colors[i + j * numX];
+          r += color[0] * basis;
+          g += color[1] * basis;
+          b += color[2] * basis;
+        }
+      }
+
+      var offset = (y * width + x) * 4;
+      pixels[offset] = linearToSRGB(r);
+      pixels[offset + 1] = linearToSRGB(g);
+      pixels[offset + 2] = linearToSRGB(b);
+      pixels[offset + 3] = 255;
+    }
+  }
+
+  return pixels;
+};
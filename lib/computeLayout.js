@@ -0,0 +1,437 @@
+/**
+ * The layout engine of the grid. It computes where each image goes, without
+ * touching the DOM, so that it can also be used on the server, in a Web
+ * Worker, or in tests. The Pig component applies the layout it computes in
+ * `_doLayout`.
+ */
+
+// The default options, which are also the defaults of the Pig settings of the
+// same names.
+var defaultOptions = {
+  layoutMode: 'greedy',
+  spaceBetweenImages: 8,
+  groupHeaderHeight: 48,
+  stretchLastRow: true,
+  getMinAspectRatio: function(lastWindowWidth) {
+    if (lastWindowWidth <= 640)
+      return 2;
+    else if (lastWindowWidth <= 1280)
+      return 4;
+    else if (lastWindowWidth <= 1920)
+      return 5;
+    return 6;
+  },
+  getColumnCount: function(lastWindowWidth) {
+    if (lastWindowWidth <= 640)
+      return 2;
+    else if (lastWindowWidth <= 1280)
+      return 3;
+    else if (lastWindowWidth <= 1920)
+      return 4;
+    return 5;
+  },
+  getTargetRowHeight: null,
+};
+
+/**
+ * Computes the layout of a grid of images.
+ *
+ * In the 'greedy' and 'optimal' layout modes, images are laid out in rows
+ * that fill the width of the container, keeping their aspect ratios. In the
+ * 'masonry' mode, images of equal width are placed in columns. If images
+ * have a `groupKey`, each group starts on a new row, below a header.
+ *
+ * @param {array} images - One object per image, in order, with the
+ *                         `aspectRatio` of the image and its `groupKey`, if
+ *                         any. The `imageData` objects of the grid can be
+ *                         passed as they are.
+ * @param {Number} containerWidth - The width of the grid in pixels.
+ * @param {object} [options] - The `layoutMode`, `spaceBetweenImages`,
+ *                             `groupHeaderHeight`, `stretchLastRow`,
+ *                             `getMinAspectRatio`, `getColumnCount` and
+ *                             `getTargetRowHeight` settings of the grid,
+ *                             which default to those of Pig, and:
+ * @param {Number} [options.breakpointWidth] - The width passed to
+ *                                             `getMinAspectRatio`,
+ *                                             `getColumnCount` and
+ *                                             `getTargetRowHeight`. Defaults
+ *                                             to `containerWidth`.
+ * @param {object} [options.previousLayout] - The layout computed before
+ *                                            images were appended.
+ * @param {Number} [options.fromIndex] - The index of the first image that was
+ *                                       appended since `previousLayout`. In
+ *                                       the 'greedy' mode, only the last row
+ *                                       of the previous layout and the rows
+ *                                       after it are computed again.
+ *
+ * @returns {object} The layout, with:
+ *   - `boxes`: the `width`, `height`, `translateX` and `translateY` of each
+ *     image, in pixels.
+ *   - `rows`: the `index` of the first image of each row, its `translateY`
+ *     (that of its header, if it starts a group), its `ariaRowIndex`, and the
+ *     `top` and `bottom` of its images. In the 'masonry' mode, every
+ *     `columnCount` consecutive images of a group are a row.
+ *   - `headers`: the `groupKey` of each group, the `index` of its first
+ *     image, and the box and `ariaRowIndex` of its header.
+ *   - `totalHeight`: the height of the grid.
+ *   - `ariaRowCount`: the number of rows, including the headers.
+ *   - `minAspectRatio` and `columnCount`: the values used at this width.
+ *   - `startIndex`: the index of the first image whose box was computed.
+ *     The boxes before it are those of `previousLayout`.
+ */
+export const computeLayout = function(images, containerWidth, options) {
+  options = Object.assign({}, defaultOptions, options);
+  var breakpointWidth = options.breakpointWidth || containerWidth;
+
+  if (options.layoutMode === 'masonry') {
+    return computeMasonryLayout(images, containerWidth, breakpointWidth, options);
+  }
+
+  var spaceBetweenImages = options.spaceBetweenImages;
+  var minAspectRatio = options.getMinAspectRatio(breakpointWidth);
+  var targetRowHeight = options.getTargetRowHeight ?
+    options.getTargetRowHeight(breakpointWidth) :
+    containerWidth / minAspectRatio;
+
+  // Find the row to start from. Every row before it keeps its layout.
+  //
+  // Optimal rows depend on every image of the group, so in that mode we
+  // always compute the entire layout.
+  var previousLayout = options.previousLayout;
+  var startRow = 0;
+  if (options.fromIndex && previousLayout && previousLayout.rows.length &&
+    options.layoutMode === 'greedy' &&
+    previousLayout.containerWidth === containerWidth &&
+    previousLayout.minAspectRatio === minAspectRatio) {
+    startRow = previousLayout.rows.length - 1;
+    while (startRow > 0 && previousLayout.rows[startRow].index > options.fromIndex) {
+      startRow--;
+    }
+  }
+  var startIndex = startRow ? previousLayout.rows[startRow].index : 0;
+
+  // State
+  var row = [];           // The list of images in the current row.
+  var translateX = 0;     // The current translateX value that we are at
+  var translateY = startRow ? previousLayout.rows[startRow].translateY : 0; // The current translateY value that we are at
+  var rowAspectRatio = 0; // The aspect ratio of the row we are building
+
+  var layout = {
+    containerWidth: containerWidth,
+    minAspectRatio: minAspectRatio,
+    columnCount: null,
+    startIndex: startIndex,
+    boxes: startRow ? previousLayout.boxes.slice(0, startIndex) : [],
+    rows: startRow ? previousLayout.rows.slice(0, startRow) : [],
+    headers: startRow ?
+      previousLayout.headers.filter(function(header) {
+        return header.translateY < translateY;
+      }) :
+      [],
+    totalHeight: 0,
+
+    // The number of rows (including the header rows of groups) for assistive
+    // technology, to give each row its `aria-rowindex`.
+    ariaRowCount: startRow ? previousLayout.rows[startRow - 1].ariaRowIndex : 0,
+  };
+
+  // In optimal mode, the indices of the images that end a row.
+  var rowEnds = options.layoutMode === 'optimal' ?
+    getOptimalRowEnds(images, containerWidth, targetRowHeight, options) :
+    null;
+
+  // Loop through all our images, building them up into rows and computing
+  // the working rowAspectRatio.
+  images.slice(startIndex).forEach(function(image, i) {
+    var index = startIndex + i;
+
+    if (!row.length) {
+      var rowData = { index: index, translateY: translateY };
+      layout.rows.push(rowData);
+
+      // Each group starts on a new row, below the header of the group.
+      if (startsGroup(images, index)) {
+        layout.headers.push({
+          groupKey: image.groupKey,
+          index: index,
+          width: containerWidth,
+          height: options.groupHeaderHeight,
+          translateX: 0,
+          translateY: translateY,
+          ariaRowIndex: ++layout.ariaRowCount,
+        });
+        translateY += options.groupHeaderHeight + spaceBetweenImages;
+      }
+
+      rowData.ariaRowIndex = ++layout.ariaRowCount;
+    }
+
+    rowAspectRatio += parseFloat(image.aspectRatio);
+    row.push(image);
+
+    // When the rowAspectRatio exceeeds the minimum acceptable aspect ratio
+    // (or, in optimal mode, when the image ends its row), or when we're out
+    // of images, or when the next image starts a new group, we say that we
+    // have all the images we need for this row, and compute the box of each
+    // of these images.
+    var isLastRow = index + 1 === images.length || startsGroup(images, index + 1);
+    var isRowComplete = rowEnds ? rowEnds[index] : rowAspectRatio >= minAspectRatio;
+    if (isRowComplete || isLastRow) {
+
+      // Compute this row's height.
+      var totalDesiredWidthOfImages = containerWidth - spaceBetweenImages * (row.length - 1);
+      var rowHeight = totalDesiredWidthOfImages / rowAspectRatio;
+
+      // Unless we stretch the last row, it is never taller than the target
+      // row height, and doesn't fill the width of the container.
+      if (isLastRow && !options.stretchLastRow) {
+        rowHeight = Math.min(rowHeight, targetRowHeight);
+      }
+
+      // For each image in the row, compute the width, height, translateX,
+      // and translateY values.
+      row.forEach(function(img) {
+        var imageWidth = rowHeight * img.aspectRatio;
+
+        layout.boxes.push({
+          width: parseInt(imageWidth, 10),
+          height: parseInt(rowHeight, 10),
+          translateX: translateX,
+          translateY: translateY,
+        });
+
+        // The next image is spaceBetweenImages pixels to the right of this
+        // image.
+        translateX += imageWidth + spaceBetweenImages;
+      });
+
+      // Reset our state variables for next row.
+      row = [];
+      rowAspectRatio = 0;
+      translateY += parseInt(rowHeight, 10) + spaceBetweenImages;
+      translateX = 0;
+    }
+  });
+
+  // No space below the last image
+  layout.totalHeight = Math.max(translateY - spaceBetweenImages, 0);
+
+  indexRows(layout, startRow);
+  return layout;
+};
+
+/**
+ * Returns whether the image at `index` is the first image of a group, and so
+ * should start a new row below the header of its group.
+ *
+ * @param {array} images - The images of the grid.
+ * @param {Number} index - The index of the image.
+ *
+ * @returns {boolean} True if the image starts a group.
+ */
+var startsGroup = function(images, index) {
+  var groupKey = images[index].groupKey;
+  if (groupKey === undefined || groupKey === null) {
+    return false;
+  }
+
+  return index === 0 || images[index - 1].groupKey !== groupKey;
+};
+
+/**
+ * Computes the masonry layout: images of equal width are placed in
+ * `options.getColumnCount` columns, each in the column that is the shortest
+ * so far. Each group starts below the longest column of the group before it.
+ *
+ * Images don't form rows in this layout, so for keyboard navigation and
+ * assistive technology, every `columnCount` consecutive images of a group are
+ * treated as a row.
+ *
+ * @param {array} images - The images of the grid.
+ * @param {Number} containerWidth - The width of the grid.
+ * @param {Number} breakpointWidth - The width passed to `getColumnCount`.
+ * @param {object} options - The options of `computeLayout`.
+ *
+ * @returns {object} The layout, as returned by `computeLayout`.
+ */
+var computeMasonryLayout = function(images, containerWidth, breakpointWidth, options) {
+  var spaceBetweenImages = options.spaceBetweenImages;
+  var columnCount = Math.max(1, options.getColumnCount(breakpointWidth));
+  var columnWidth = (containerWidth - spaceBetweenImages * (columnCount - 1)) / columnCount;
+
+  // State
+  var columnHeights = []; // The translateY value of the next image in each column.
+  var imagesInGroup = 0;  // The number of images placed in the current group.
+
+  var layout = {
+    containerWidth: containerWidth,
+    minAspectRatio: null,
+    columnCount: columnCount,
+    startIndex: 0,
+    boxes: [],
+    rows: [],
+    headers: [],
+    totalHeight: 0,
+    ariaRowCount: 0,
+  };
+
+  images.forEach(function(image, index) {
+    var isGroupStart = startsGroup(images, index);
+    var header = null;
+
+    if (!index || isGroupStart) {
+      var translateY = index ? Math.max.apply(null, columnHeights) : 0;
+
+      if (isGroupStart) {
+        header = {
+          groupKey: image.groupKey,
+          index: index,
+          width: containerWidth,
+          height: options.groupHeaderHeight,
+          translateX: 0,
+          translateY: translateY,
+          ariaRowIndex: ++layout.ariaRowCount,
+        };
+        layout.headers.push(header);
+        translateY += options.groupHeaderHeight + spaceBetweenImages;
+      }
+
+      columnHeights = [];
+      for (var i = 0; i < columnCount; i++) {
+        columnHeights.push(translateY);
+      }
+      imagesInGroup = 0;
+    }
+
+    // The shortest column, and the leftmost if there are several.
+    var column = columnHeights.indexOf(Math.min.apply(null, columnHeights));
+
+    if (imagesInGroup % columnCount === 0) {
+      layout.rows.push({
+        index: index,
+        translateY: header ? header.translateY : columnHeights[column],
+        ariaRowIndex: ++layout.ariaRowCount,
+      });
+    }
+
+    var box = {
+      width: parseInt(columnWidth, 10),
+      height: parseInt(columnWidth / image.aspectRatio, 10),
+      translateX: column * (columnWidth + spaceBetweenImages),
+      translateY: columnHeights[column],
+    };
+    layout.boxes.push(box);
+
+    columnHeights[column] += box.height + spaceBetweenImages;
+    imagesInGroup++;
+  });
+
+  // No space below the longest column
+  layout.totalHeight = columnHeights.length ?
+    Math.max(Math.max.apply(null, columnHeights) - spaceBetweenImages, 0) :
+    0;
+
+  indexRows(layout, 0);
+  return layout;
+};
+
+/**
+ * Chooses where the rows of each group end, so that the sum of the squared
+ * differences between the height of each row and the target row height is as
+ * small as possible. This is the linear partition approach used by Flickr and
+ * Google Photos, and avoids the uneven rows, and the tiny last row, that the
+ * greedy approach can produce.
+ *
+ * For each image, we find the cheapest way to lay out the images of its group
+ * up to and including it, by trying every possible first image of its row,
+ * and adding the cost of that row to the cheapest layout of the images before
+ * it. Rows that would be less than half the target row height are never
+ * considered, which bounds the number of rows we try.
+ *
+ * @param {array} images - The images of the grid.
+ * @param {Number} containerWidth - The width of the grid.
+ * @param {Number} targetRowHeight - The height rows should be close to.
+ * @param {object} options - The options of `computeLayout`.
+ *
+ * @returns {object} The indices of the images that end a row, as keys.
+ */
+var getOptimalRowEnds = function(images, containerWidth, targetRowHeight, options) {
+  var rowEnds = {};
+  var spaceBetweenImages = options.spaceBetweenImages;
+  var groupStart = 0;
+
+  images.forEach(function(image, index) {
+    if (index + 1 < images.length && !startsGroup(images, index + 1)) {
+      return;
+    }
+
+    // The images from groupStart to index form a group. cost[j] is the cost
+    // of the best layout of its first j images, and rowStart[j] the index
+    // (within the group) of the first image of the last row of that layout.
+    var groupImages = images.slice(groupStart, index + 1);
+    var cost = [0];
+    var rowStart = [0];
+
+    for (var end = 1; end <= groupImages.length; end++) {
+      var aspectRatio = 0;
+      cost[end] = Infinity;
+
+      for (var start = end - 1; start >= 0; start--) {
+        aspectRatio += parseFloat(groupImages[start].aspectRatio);
+
+        var rowHeight = (containerWidth - spaceBetweenImages * (end - start - 1)) / aspectRatio;
+        var rowCost = Math.pow(rowHeight - targetRowHeight, 2);
+
+        // A last row that is not stretched is shown at the target height.
+        if (end === groupImages.length && !options.stretchLastRow &&
+          rowHeight > targetRowHeight) {
+          rowCost = 0;
+        }
+
+        if (cost[start] + rowCost < cost[end]) {
+          cost[end] = cost[start] + rowCost;
+          rowStart[end] = start;
+        }
+
+        if (rowHeight < targetRowHeight / 2) {
+          break;
+        }
+      }
+    }
+
+    for (var rowEnd = groupImages.length; rowEnd > 0; rowEnd = rowStart[rowEnd]) {
+      rowEnds[groupStart + rowEnd - 1] = true;
+    }
+
+    groupStart = index + 1;
+  });
+
+  return rowEnds;
+};
+
+/**
+ * Gives each row, from `fromRow` on, the `top` of its highest image, and the
+ * `bottom` of the lowest image of the rows up to and including it. In the
+ * masonry mode the images of a row are at different heights, and can reach
+ * below the images of the next rows, so the bottoms are a running maximum.
+ * Both are in increasing order, which lets the grid find the rows in a range
+ * of heights with a binary search.
+ *
+ * @param {object} layout - The layout whose rows to index.
+ * @param {Number} fromRow - The first row whose images have changed.
+ */
+var indexRows = function(layout, fromRow) {
+  var bottom = fromRow ? layout.rows[fromRow - 1].bottom : 0;
+
+  layout.rows.slice(fromRow).forEach(function(row, i) {
+    var nextRow = layout.rows[fromRow + i + 1];
+    var rowBoxes = layout.boxes.slice(row.index, nextRow ? nextRow.index : undefined);
+
+    row.top = Infinity;
+    rowBoxes.forEach(function(box) {
+      row.top = Math.min(row.top, box.translateY);
+      bottom = Math.max(bottom, box.translateY + box.height);
+    });
+    row.bottom = bottom;
+  });
+};
@@ -0,0 +1,29 @@
+/**
+ * Escape a string so that it can be used as the text or attribute value of an
+ * element in HTML markup.
+ *
+ * @param {string} value - The string to escape.
+ *
+ * @returns {string} The escaped string.
+ */
+export const escapeHtml = function(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Write CSS declarations as the value of a style attribute in HTML markup.
+ *
+ * @param {object} declarations - The CSS properties and their values.
+ *
+ * @returns {string} The escaped value of the attribute.
+ */
+export const writeStyle = function(declarations) {
+  return escapeHtml(Object.keys(declarations).map(function(property) {
+    return property + ': ' + declarations[property] + ';';
+  }).join(' '));
+}
@@ -0,0 +1,296 @@
+/**
+ * The CSS of the grid. Each rule is described once, and is either written
+ * into the <style> tag that Pig injects, or, with
+ * `settings.disableStyleInjection`, applied as inline styles to the elements
+ * Pig creates, for the rules that the grid needs to lay out at all. Those
+ * rules only position the elements: the look of the grid stays in the rules
+ * of the class names, so that a site's CSS can change it.
+ */
+
+// The default options, which are also the defaults of the Pig settings of the
+// same names.
+var defaultOptions = {
+  classPrefix: 'pig',
+  transitionSpeed: 500,
+  style: {
+    backgroundColor: '#D5D5D5',
+    blurRadius: 30,
+    borderRadius: 0,
+    easing: 'ease',
+    hover: null,
+  },
+};
+
+/**
+ * Returns the options with their defaults. The style options are merged with
+ * their defaults one by one.
+ *
+ * @param {object} [options] - The options to complete.
+ *
+ * @returns {object} The complete options.
+ */
+var getOptions = function(options) {
+  options = Object.assign({}, defaultOptions, options);
+  options.style = Object.assign({}, defaultOptions.style, options.style);
+  return options;
+};
+
+/**
+ * Converts the camelCase names of CSS properties, as used by React and the
+ * `style` property of elements, to the names used in CSS.
+ *
+ * @param {object} declarations - The CSS properties and their values.
+ *
+ * @returns {object} The same declarations, with CSS property names.
+ */
+var toCssProperties = function(declarations) {
+  var result = {};
+  Object.keys(declarations || {}).forEach(function(property) {
+    result[property.replace(/[A-Z]/g, function(letter) {
+      return '-' + letter.toLowerCase();
+    })] = declarations[property];
+  });
+  return result;
+};
+
+/**
+ * Returns the rules of the stylesheet of the grid. Each rule has a
+ * `selector` and its `declarations`. Rules that the grid needs to lay out
+ * its elements, whatever their state, have the `element` they are applied
+ * to inline when styles are not injected. These only hold layout and
+ * positioning declarations.
+ *
+ * @param {object} options - The complete options.
+ *
+ * @returns {array} The rules, in order.
+ */
+var getRules = function(options) {
+  var p = '.' + options.classPrefix;
+  var style = options.style;
+  var speed = (options.transitionSpeed / 1000) + 's';
+  var fadeTransition = speed + ' ' + style.easing + ' opacity';
+  var fadeAnimation = speed + ' ' + style.easing + ' ' + options.classPrefix + '-fade-in';
+  var blur = 'blur(' + style.blurRadius + 'px)';
+
+  return [
+    { selector: p + '-container', element: 'container', declarations: {
+      'overflow-anchor': 'none',
+      'position': 'relative',
+    } },
+    { selector: p + '-figure', element: 'figure', declarations: {
+      'overflow': 'hidden',
+      'left': '0',
+      'position': 'absolute',
+      'top': '0',
+      'margin': '0',
+    } },
+    { selector: p + '-figure', declarations: {
+      'background-color': style.backgroundColor,
+      'border-radius': style.borderRadius + 'px',
+    } },
+    { selector: p + '-figure:hover', declarations: toCssProperties(style.hover) },
+    { selector: p + '-figure' + p + '-selected', declarations: {
+      'outline': '4px solid #4285F4',
+      'outline-offset': '-4px',
+    } },
+    { selector: p + '-caption', element: 'caption', declarations: {
+      'clip': 'rect(0 0 0 0)',
+      'height': '1px',
+      'overflow': 'hidden',
+      'position': 'absolute',
+      'white-space': 'nowrap',
+      'width': '1px',
+    } },
+    { selector: p + '-viewer', element: 'viewer', declarations: {
+      'bottom': '0',
+      'left': '0',
+      'position': 'fixed',
+      'right': '0',
+      'top': '0',
+      'z-index': '1000',
+    } },
+    { selector: p + '-viewer-backdrop', element: 'viewerBackdrop', declarations: {
+      'bottom': '0',
+      'left': '0',
+      'position': 'absolute',
+      'right': '0',
+      'top': '0',
+    } },
+    { selector: p + '-viewer-backdrop', declarations: {
+      'background-color': 'rgba(0, 0, 0, 0.9)',
+      'opacity': '0',
+      'transition': fadeTransition,
+      '-webkit-transition': fadeTransition,
+    } },
+    { selector: p + '-viewer-open ' + p + '-viewer-backdrop', declarations: {
+      'opacity': '1',
+    } },
+    { selector: p + '-viewer-image', element: 'viewerImage', declarations: {
+      'left': '0',
+      'position': 'absolute',
+      'top': '0',
+    } },
+    { selector: p + '-viewer button', element: 'viewerButton', declarations: {
+      'position': 'absolute',
+    } },
+    { selector: p + '-viewer button', declarations: {
+      'background': 'none',
+      'border': '0',
+      'color': '#FFF',
+      'cursor': 'pointer',
+      'font-size': '48px',
+    } },
+    { selector: p + '-viewer button:disabled', declarations: {
+      'visibility': 'hidden',
+    } },
+    { selector: p + '-viewer-close', element: 'viewerClose', declarations: {
+      'right': '16px',
+      'top': '8px',
+    } },
+    { selector: p + '-viewer-previous', element: 'viewerPrevious', declarations: {
+      'left': '16px',
+      'top': '50%',
+    } },
+    { selector: p + '-viewer-next', element: 'viewerNext', declarations: {
+      'right': '16px',
+      'top': '50%',
+    } },
+    { selector: p + '-figure' + p + '-entering', declarations: {
+      'animation': fadeAnimation,
+      '-webkit-animation': fadeAnimation,
+    } },
+    { selector: p + '-figure' + p + '-leaving', declarations: {
+      'opacity': '0',
+      'pointer-events': 'none',
+    } },
+    { selector: '@keyframes ' + options.classPrefix + '-fade-in', declarations: {
+      'from': { 'opacity': '0' },
+    } },
+    { selector: '@-webkit-keyframes ' + options.classPrefix + '-fade-in', declarations: {
+      'from': { 'opacity': '0' },
+    } },
+    { selector: p + '-figure' + p + '-dragging', declarations: {
+      'box-shadow': '0 8px 24px rgba(0, 0, 0, 0.3)',
+      'cursor': 'grabbing',
+      'z-index': '2',
+    } },
+    { selector: p + '-drop-target', element: 'dropTarget', declarations: {
+      'box-sizing': 'border-box',
+      'left': '0',
+      'pointer-events': 'none',
+      'position': 'absolute',
+      'top': '0',
+    } },
+    { selector: p + '-drop-target', declarations: {
+      'border': '2px dashed #4285F4',
+      'border-radius': style.borderRadius + 'px',
+    } },
+    { selector: p + '-overlay', element: 'overlay', declarations: {
+      'bottom': '0',
+      'left': '0',
+      'position': 'absolute',
+      'right': '0',
+      'top': '0',
+      'z-index': '1',
+    } },
+    { selector: p + '-sentinel', element: 'sentinel', declarations: {
+      'left': '0',
+      'pointer-events': 'none',
+      'position': 'absolute',
+      'visibility': 'hidden',
+      'width': '1px',
+    } },
+    { selector: p + '-group-header', element: 'header', declarations: {
+      'left': '0',
+      'position': 'absolute',
+      'top': '0',
+      'z-index': '1',
+    } },
+    { selector: p + '-figure img, ' + p + '-figure video', element: 'image', declarations: {
+      'left': '0',
+      'position': 'absolute',
+      'top': '0',
+      'height': '100%',
+    } },
+    { selector: p + '-figure img, ' + p + '-figure video', declarations: {
+      'opacity': '0',
+      'transition': fadeTransition,
+      '-webkit-transition': fadeTransition,
+    } },
+    { selector: p + '-figure img' + p + '-thumbnail', element: 'thumbnail', declarations: {
+      'left': 'auto',
+      'position': 'relative',
+      'width': 'auto',
+    } },
+    { selector: p + '-figure img' + p + '-thumbnail', declarations: {
+      '-webkit-filter': blur,
+      'filter': blur,
+    } },
+    { selector: p + '-figure video', element: 'video', declarations: {
+      'object-fit': 'cover',
+      'width': '100%',
+    } },
+    { selector: p + '-figure img' + p + '-loaded, ' + p + '-figure video' + p + '-loaded', declarations: {
+      'opacity': '1',
+    } },
+    { selector: p + '-figure' + p + '-error img' + p + '-thumbnail', declarations: {
+      'display': 'none',
+    } },
+  ];
+};
+
+/**
+ * Writes a rule of the stylesheet as CSS.
+ *
+ * @param {string} selector - The selector of the rule.
+ * @param {object} declarations - The CSS properties and their values, or, in
+ *                                an at-rule, the nested rules.
+ *
+ * @returns {string} The CSS of the rule.
+ */
+var writeRule = function(selector, declarations) {
+  return selector + ' {' + Object.keys(declarations).map(function(property) {
+    var value = declarations[property];
+    return typeof value === 'object' ?
+      writeRule(property, value) :
+      '  ' + property + ': ' + value + ';';
+  }).join('') + '}';
+};
+
+/**
+ * Returns the stylesheet of the grid, as Pig injects it into the page. With
+ * `disableStyleInjection`, it can be saved to a file and served with the
+ * rest of the site's CSS.
+ *
+ * @param {object} [options] - The `classPrefix`, `transitionSpeed` and
+ *                             `style` settings of the grid, which default to
+ *                             those of Pig.
+ *
+ * @returns {string} The CSS of the grid.
+ */
+export const getStyleSheet = function(options) {
+  return getRules(getOptions(options)).filter(function(rule) {
+    return Object.keys(rule.declarations).length;
+  }).map(function(rule) {
+    return writeRule(rule.selector, rule.declarations);
+  }).join('');
+};
+
+/**
+ * Returns the styles that are applied inline to each kind of element that
+ * Pig creates, when styles are not injected.
+ *
+ * @param {object} [options] - The `classPrefix`, `transitionSpeed` and
+ *                             `style` settings of the grid.
+ *
+ * @returns {object} The CSS properties and their values, by kind of element.
+ */
+export const getInlineStyles = function(options) {
+  var inlineStyles = {};
+  getRules(getOptions(options)).forEach(function(rule) {
+    if (rule.element) {
+      inlineStyles[rule.element] = Object.assign({}, inlineStyles[rule.element], rule.declarations);
+    }
+  });
+  return inlineStyles;
+};
@@ -0,0 +1,170 @@
+/**
+ * @jest-environment jsdom
+ */
+import React from 'react';
+import ReactDOM from 'react-dom';
+import ReactDOMServer from 'react-dom/server';
+import Pig from '../lib/Pig';
+
+/**
+ * Returns the `imageData` of `count` square images, whose ids start with
+ * `prefix`.
+ */
+var getImageData = function(count, prefix) {
+  var imageData = [];
+  for (var i = 0; i < count; i++) {
+    imageData.push({ filename: prefix + i + '.jpg', aspectRatio: 1, imageId: prefix + i });
+  }
+  return imageData;
+};
+
+describe('Pig', function() {
+  var mountNode;
+  var pig;
+
+  /**
+   * Renders a grid with the given props into the mount node.
+   */
+  var render = function(props) {
+    ReactDOM.render(React.createElement(Pig, Object.assign({
+      ref: function(instance) {
+        pig = instance;
+      },
+    }, props)), mountNode);
+  };
+
+  beforeAll(function() {
+    Object.defineProperty(window.HTMLElement.prototype, 'clientWidth', {
+      configurable: true,
+      get: function() {
+        return 1000;
+      },
+    });
+    window.requestAnimationFrame = function(callback) {
+      return setTimeout(callback, 0);
+    };
+    window.cancelAnimationFrame = clearTimeout;
+  });
+
+  beforeEach(function() {
+    window.innerHeight = 800;
+    window.pageYOffset = 0;
+    window.scrollTo = jest.fn(function(x, y) {
+      window.pageYOffset = y;
+    });
+    mountNode = document.body.appendChild(document.createElement('div'));
+  });
+
+  afterEach(function() {
+    ReactDOM.unmountComponentAtNode(mountNode);
+    document.body.removeChild(mountNode);
+  });
+
+  describe('when scrolled into the grid', function() {
+    it('replaces the images', function() {
+      render({ imageData: getImageData(200, 'a') });
+      window.pageYOffset = 3000;
+
+      render({ imageData: getImageData(50, 'b') });
+
+      expect(pig.images.map(function(image) {
+        return image.imageId;
+      })).toEqual(getImageData(50, 'b').map(function(singleImageData) {
+        return singleImageData.imageId;
+      }));
+    });
+
+    it('keeps the image at the top of the viewport in place when images are removed', function() {
+      var imageData = getImageData(200, 'a');
+      render({ imageData: imageData });
+      window.pageYOffset = 3000;
+      var image = pig.images[48];
+      var offset = image.style.translateY - 3000;
+
+      render({ imageData: imageData.slice(4) });
+
+      expect(pig.images[44]).toBe(image);
+      expect(image.style.translateY - window.pageYOffset).toBe(offset);
+    });
+
+    it('narrows and widens the filter', function() {
+      var imageData = getImageData(200, 'a');
+      render({ imageData: imageData, filter: function(singleImageData) {
+        return singleImageData.imageId !== 'a0';
+      } });
+      window.pageYOffset = 3000;
+
+      render({ imageData: imageData, filter: function(singleImageData) {
+        return singleImageData.imageId === 'a150';
+      } });
+      expect(pig.images.length).toBe(1);
+
+      render({ imageData: imageData, filter: null });
+      expect(pig.images.length).toBe(200);
+    });
+  });
+
+  describe('updating the images', function() {
+    it('lays out every row again when an earlier image changes its aspect ratio', function() {
+      var imageData = getImageData(8, 'a');
+      render({ imageData: imageData });
+      expect(pig.images[4].style.translateY).toBe(252);
+
+      var newImageData = imageData.concat(getImageData(4, 'b'));
+      newImageData[0] = Object.assign({}, newImageData[0], { aspectRatio: 4 });
+      render({ imageData: newImageData });
+
+      expect(pig.images[0].style.width).toBe(pig.images[0].style.height * 4);
+      expect(pig.images[4].style.translateY).not.toBe(252);
+    });
+  });
+
+  describe('server rendering', function() {
+    it('only positions the tiles inline, besides their dominant color', function() {
+      var imageData = getImageData(2, 'a');
+      imageData[0].dominantColor = '#123456';
+      var markup = ReactDOMServer.renderToString(React.createElement(Pig, {
+        imageData: imageData,
+        options: { ssrWidth: 1000, style: { borderRadius: 4 } },
+      }));
+
+      expect(markup).toContain('position: absolute; top: 0; margin: 0; background-color: #123456; width: 496px;');
+      expect(markup).toContain('src="/img/20/a1.jpg" style="left: auto; position: relative;');
+      expect(markup).not.toContain('border-radius');
+      expect(markup).not.toContain('blur(');
+      expect(markup).not.toContain('#D5D5D5');
+    });
+  });
+
+  describe('reordering', function() {
+    /**
+     * Dispatches a mouse event of the given type on the target.
+     */
+    var mouse = function(target, type, clientX, clientY) {
+      target.dispatchEvent(new window.MouseEvent(type, {
+        bubbles: true,
+        button: 0,
+        clientX: clientX,
+        clientY: clientY,
+      }));
+    };
+
+    it('takes a new press to drag again after Escape', function() {
+      var onReorder = jest.fn();
+      render({ imageData: getImageData(20, 'a'), options: { reorderable: true, onReorder: onReorder } });
+
+      mouse(pig.images[0].getElement(), 'mousedown', 10, 10);
+      mouse(document, 'mousemove', 600, 10);
+      expect(pig.dragReorder.image.imageId).toBe('a0');
+      document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+      expect(pig.dragReorder.image).toBeNull();
+
+      mouse(document, 'mousemove', 700, 10);
+      mouse(document, 'mouseup', 700, 10);
+
+      expect(pig.dragReorder.image).toBeNull();
+      expect(onReorder).not.toHaveBeenCalled();
+      expect(pig.images[0].imageId).toBe('a0');
+    });
+  });
+});
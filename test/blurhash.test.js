@@ -0,0 +1,20 @@
+import { decodeBlurhash } from '../lib/blurhash';
+
+describe('decodeBlurhash', function() {
+  it('decodes the pixels of the reference implementation', function() {
+    var pixels = decodeBlurhash('LEHV6nWB2yk8pyo0adR*.7kCMdnj', 4, 3);
+
+    // The pixels that the reference decoder (the `blurhash` package) gives.
+    expect(Array.from(pixels)).toEqual([
+      135, 164, 177, 255, 161, 173, 177, 255, 181, 180, 171, 255, 160, 172, 174, 255,
+      124, 154, 169, 255, 148, 148, 154, 255, 164, 145, 134, 255, 146, 152, 155, 255,
+      124, 144, 154, 255, 144, 134, 132, 255, 163, 130, 104, 255, 148, 140, 134, 255,
+    ]);
+  });
+
+  it('throws on a string of the wrong length', function() {
+    expect(function() {
+      decodeBlurhash('LEHV6nWB2yk8pyo0adR*.7kCMdn', 4, 3);
+    }).toThrow('The BlurHash string has the wrong length');
+  });
+});
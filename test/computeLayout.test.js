@@ -0,0 +1,260 @@
+import { computeLayout } from '../lib/computeLayout';
+
+/**
+ * Returns `count` images of the given aspect ratio.
+ */
+var squares = function(count, aspectRatio) {
+  var images = [];
+  for (var i = 0; i < count; i++) {
+    images.push({ aspectRatio: aspectRatio || 1 });
+  }
+  return images;
+};
+
+/**
+ * Returns the number of images in each row of the layout.
+ */
+var getRowLengths = function(layout) {
+  return layout.rows.map(function(row, i) {
+    var nextRow = layout.rows[i + 1];
+    return (nextRow ? nextRow.index : layout.boxes.length) - row.index;
+  });
+};
+
+describe('computeLayout', function() {
+  it('returns an empty layout when there are no images', function() {
+    var layout = computeLayout([], 1000);
+
+    expect(layout.boxes).toEqual([]);
+    expect(layout.rows).toEqual([]);
+    expect(layout.headers).toEqual([]);
+    expect(layout.totalHeight).toBe(0);
+    expect(layout.ariaRowCount).toBe(0);
+  });
+
+  describe('breakpoints', function() {
+    it('uses the minimum aspect ratio of the container width', function() {
+      expect(getRowLengths(computeLayout(squares(12), 600))).toEqual([2, 2, 2, 2, 2, 2]);
+      expect(getRowLengths(computeLayout(squares(12), 1000))).toEqual([4, 4, 4]);
+      expect(getRowLengths(computeLayout(squares(12), 1500))).toEqual([5, 5, 2]);
+      expect(getRowLengths(computeLayout(squares(12), 2000))).toEqual([6, 6]);
+    });
+
+    it('uses breakpointWidth instead of the container width', function() {
+      var layout = computeLayout(squares(8), 1000, { breakpointWidth: 600 });
+
+      expect(layout.minAspectRatio).toBe(2);
+      expect(getRowLengths(layout)).toEqual([2, 2, 2, 2]);
+      expect(layout.boxes[0].width).toBe(496);
+    });
+
+    it('uses the getMinAspectRatio option', function() {
+      var getMinAspectRatio = jest.fn(function() {
+        return 3;
+      });
+      var layout = computeLayout(squares(6), 900, {
+        breakpointWidth: 1200,
+        getMinAspectRatio: getMinAspectRatio,
+      });
+
+      expect(getMinAspectRatio).toHaveBeenCalledWith(1200);
+      expect(getRowLengths(layout)).toEqual([3, 3]);
+    });
+
+    it('uses the getColumnCount option in masonry mode', function() {
+      expect(computeLayout(squares(6), 600, { layoutMode: 'masonry' }).columnCount).toBe(2);
+      expect(computeLayout(squares(6), 1000, { layoutMode: 'masonry' }).columnCount).toBe(3);
+      expect(computeLayout(squares(6), 1000, {
+        layoutMode: 'masonry',
+        getColumnCount: function() {
+          return 6;
+        },
+      }).columnCount).toBe(6);
+    });
+  });
+
+  describe('spacing', function() {
+    it('leaves spaceBetweenImages between the images of a row', function() {
+      var layout = computeLayout(squares(8), 1030, { spaceBetweenImages: 10 });
+
+      expect(layout.boxes.slice(0, 4)).toEqual([
+        { width: 250, height: 250, translateX: 0, translateY: 0 },
+        { width: 250, height: 250, translateX: 260, translateY: 0 },
+        { width: 250, height: 250, translateX: 520, translateY: 0 },
+        { width: 250, height: 250, translateX: 780, translateY: 0 },
+      ]);
+    });
+
+    it('leaves spaceBetweenImages between rows but not below the last one', function() {
+      var layout = computeLayout(squares(8), 1030, { spaceBetweenImages: 10 });
+
+      expect(layout.boxes[4].translateY).toBe(260);
+      expect(layout.rows.map(function(row) {
+        return row.translateY;
+      })).toEqual([0, 260]);
+      expect(layout.totalHeight).toBe(510);
+    });
+
+    it('places images edge to edge without spacing', function() {
+      var layout = computeLayout(squares(4), 1000, { spaceBetweenImages: 0 });
+
+      expect(layout.boxes.map(function(box) {
+        return box.translateX;
+      })).toEqual([0, 250, 500, 750]);
+      expect(layout.totalHeight).toBe(250);
+    });
+
+    it('leaves spaceBetweenImages between masonry columns', function() {
+      var layout = computeLayout(squares(3), 620, {
+        layoutMode: 'masonry',
+        spaceBetweenImages: 10,
+        getColumnCount: function() {
+          return 3;
+        },
+      });
+
+      expect(layout.boxes.map(function(box) {
+        return box.translateX;
+      })).toEqual([0, 210, 420]);
+      expect(layout.boxes[0].width).toBe(200);
+    });
+  });
+
+  describe('last row', function() {
+    it('stretches the last row to the width of the container by default', function() {
+      var layout = computeLayout(squares(5), 1000);
+
+      expect(getRowLengths(layout)).toEqual([4, 1]);
+      expect(layout.boxes[4]).toEqual({ width: 1000, height: 1000, translateX: 0, translateY: 252 });
+      expect(layout.totalHeight).toBe(1252);
+    });
+
+    it('keeps the last row at the target row height with stretchLastRow false', function() {
+      var layout = computeLayout(squares(5), 1000, { stretchLastRow: false });
+
+      expect(layout.boxes[4]).toEqual({ width: 250, height: 250, translateX: 0, translateY: 252 });
+      expect(layout.totalHeight).toBe(502);
+    });
+
+    it('uses getTargetRowHeight for the last row', function() {
+      var layout = computeLayout(squares(5), 1000, {
+        stretchLastRow: false,
+        getTargetRowHeight: function() {
+          return 100;
+        },
+      });
+
+      expect(layout.boxes[4].height).toBe(100);
+    });
+
+    it('does not shrink a full last row', function() {
+      var layout = computeLayout(squares(4), 1000, { stretchLastRow: false });
+
+      expect(layout.boxes[3]).toEqual({ width: 244, height: 244, translateX: 756, translateY: 0 });
+    });
+
+    it('avoids a lone last image in optimal mode', function() {
+      expect(getRowLengths(computeLayout(squares(9), 1000))).toEqual([4, 4, 1]);
+      expect(getRowLengths(computeLayout(squares(9), 1000, { layoutMode: 'optimal' }))).toEqual([5, 4]);
+    });
+  });
+
+  describe('groups', function() {
+    var images = [
+      { aspectRatio: 1, groupKey: 'a' },
+      { aspectRatio: 1, groupKey: 'a' },
+      { aspectRatio: 1, groupKey: 'b' },
+      { aspectRatio: 1, groupKey: 'b' },
+      { aspectRatio: 1, groupKey: 'b' },
+      { aspectRatio: 1, groupKey: 'b' },
+    ];
+
+    it('starts each group on a new row below its header', function() {
+      var layout = computeLayout(images, 1000, { groupHeaderHeight: 40 });
+
+      expect(getRowLengths(layout)).toEqual([2, 4]);
+      expect(layout.headers).toEqual([
+        { groupKey: 'a', index: 0, width: 1000, height: 40, translateX: 0, translateY: 0, ariaRowIndex: 1 },
+        { groupKey: 'b', index: 2, width: 1000, height: 40, translateX: 0, translateY: 552, ariaRowIndex: 3 },
+      ]);
+      expect(layout.boxes[0].translateY).toBe(48);
+      expect(layout.boxes[2].translateY).toBe(600);
+      expect(layout.rows.map(function(row) {
+        return [row.translateY, row.ariaRowIndex];
+      })).toEqual([[0, 2], [552, 4]]);
+      expect(layout.ariaRowCount).toBe(4);
+    });
+
+    it('starts each group below the longest column in masonry mode', function() {
+      var layout = computeLayout([
+        { aspectRatio: 0.5, groupKey: 'a' },
+        { aspectRatio: 1, groupKey: 'a' },
+        { aspectRatio: 1, groupKey: 'b' },
+      ], 408, {
+        layoutMode: 'masonry',
+        groupHeaderHeight: 40,
+        getColumnCount: function() {
+          return 2;
+        },
+      });
+
+      expect(layout.headers[1].translateY).toBe(456);
+      expect(layout.boxes[2]).toEqual({ width: 200, height: 200, translateX: 0, translateY: 504 });
+      expect(layout.totalHeight).toBe(704);
+    });
+  });
+
+  describe('masonry', function() {
+    it('places each image in the shortest column', function() {
+      var layout = computeLayout([
+        { aspectRatio: 0.5 },
+        { aspectRatio: 1 },
+        { aspectRatio: 1 },
+        { aspectRatio: 1 },
+      ], 408, {
+        layoutMode: 'masonry',
+        getColumnCount: function() {
+          return 2;
+        },
+      });
+
+      expect(layout.boxes).toEqual([
+        { width: 200, height: 400, translateX: 0, translateY: 0 },
+        { width: 200, height: 200, translateX: 208, translateY: 0 },
+        { width: 200, height: 200, translateX: 208, translateY: 208 },
+        { width: 200, height: 200, translateX: 0, translateY: 408 },
+      ]);
+      expect(layout.totalHeight).toBe(608);
+    });
+  });
+
+  describe('rows', function() {
+    it('gives each row the top and bottom of its images', function() {
+      var layout = computeLayout(squares(8), 1000);
+
+      expect(layout.rows).toEqual([
+        { index: 0, translateY: 0, ariaRowIndex: 1, top: 0, bottom: 244 },
+        { index: 4, translateY: 252, ariaRowIndex: 2, top: 252, bottom: 496 },
+      ]);
+    });
+  });
+
+  describe('previousLayout', function() {
+    var images = squares(10).concat(squares(7, 1.5));
+
+    it('computes the same layout when images are appended', function() {
+      var previousLayout = computeLayout(images.slice(0, 10), 1000);
+      var layout = computeLayout(images, 1000, { previousLayout: previousLayout, fromIndex: 10 });
+
+      expect(layout.startIndex).toBe(8);
+      expect(layout).toEqual(Object.assign(computeLayout(images, 1000), { startIndex: 8 }));
+    });
+
+    it('computes the entire layout when the width has changed', function() {
+      var previousLayout = computeLayout(images.slice(0, 10), 1200);
+      var layout = computeLayout(images, 1000, { previousLayout: previousLayout, fromIndex: 10 });
+
+      expect(layout).toEqual(computeLayout(images, 1000));
+    });
+  });
+});
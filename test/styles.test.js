@@ -0,0 +1,75 @@
+import { getStyleSheet, getInlineStyles } from '../lib/styles';
+
+describe('getStyleSheet', function() {
+  it('uses the default style', function() {
+    var css = getStyleSheet();
+
+    expect(css).toContain('.pig-figure {  background-color: #D5D5D5;  border-radius: 0px;');
+    expect(css).toContain('filter: blur(30px);');
+    expect(css).toContain('transition: 0.5s ease opacity;');
+    expect(css).not.toContain(':hover');
+  });
+
+  it('uses the style options, keeping the defaults of the others', function() {
+    var css = getStyleSheet({
+      classPrefix: 'grid',
+      transitionSpeed: 200,
+      style: { blurRadius: 12, borderRadius: 6, easing: 'linear' },
+    });
+
+    expect(css).toContain('.grid-figure {  background-color: #D5D5D5;  border-radius: 6px;');
+    expect(css).toContain('filter: blur(12px);');
+    expect(css).toContain('transition: 0.2s linear opacity;');
+    expect(css).toContain('animation: 0.2s linear grid-fade-in;');
+    expect(css).not.toContain('.pig-');
+  });
+
+  it('styles images on hover', function() {
+    var css = getStyleSheet({ style: { hover: { filter: 'brightness(1.1)', boxShadow: '0 0 4px #000' } } });
+
+    expect(css).toContain('.pig-figure:hover {  filter: brightness(1.1);  box-shadow: 0 0 4px #000;}');
+  });
+
+  it('writes keyframes', function() {
+    expect(getStyleSheet()).toContain('@keyframes pig-fade-in {from {  opacity: 0;}}');
+  });
+});
+
+describe('getInlineStyles', function() {
+  it('returns the styles that position each kind of element', function() {
+    var inlineStyles = getInlineStyles();
+
+    expect(inlineStyles.figure).toEqual({
+      'overflow': 'hidden',
+      'left': '0',
+      'position': 'absolute',
+      'top': '0',
+      'margin': '0',
+    });
+    expect(inlineStyles.container).toEqual({ 'overflow-anchor': 'none', 'position': 'relative' });
+  });
+
+  it('leaves the look of the grid to the class names', function() {
+    var options = { style: { backgroundColor: 'black', blurRadius: 12, borderRadius: 4 } };
+    var inlineStyles = getInlineStyles(options);
+
+    expect(inlineStyles.figure['background-color']).toBeUndefined();
+    expect(inlineStyles.figure['border-radius']).toBeUndefined();
+    expect(inlineStyles.thumbnail).toEqual({ 'left': 'auto', 'position': 'relative', 'width': 'auto' });
+    expect(inlineStyles.viewerButton).toEqual({ 'position': 'absolute' });
+    expect(inlineStyles.viewerBackdrop['background-color']).toBeUndefined();
+    expect(inlineStyles.dropTarget.border).toBeUndefined();
+
+    var css = getStyleSheet(options);
+    expect(css).toContain('.pig-figure {  background-color: black;  border-radius: 4px;}');
+    expect(css).toContain('filter: blur(12px);');
+    expect(css).toContain('.pig-viewer button {  background: none;  border: 0;  color: #FFF;');
+  });
+
+  it('leaves out the styles of states', function() {
+    var inlineStyles = getInlineStyles();
+
+    expect(inlineStyles.image).toEqual({ 'left': '0', 'position': 'absolute', 'top': '0', 'height': '100%' });
+    expect(inlineStyles.viewerBackdrop.opacity).toBeUndefined();
+  });
+});